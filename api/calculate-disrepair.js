@@ -1,7 +1,7 @@
 // api/calculate-disrepair.js
 const { validateApiKey } = require('../middleware');
 const { rateLimit } = require('../rate-limiter');
-const { calculateDisrepairOverlap } = require('../calculator');
+const { processDisrepairRequest } = require('../disrepair-request');
 
 /**
  * Adapter function to use middleware with Vercel serverless functions
@@ -58,52 +58,11 @@ module.exports = async (req, res) => {
     // If we get here, authentication was successful
     console.log(`API request from: ${req.client?.name || 'Unknown client'}`);
     
-    // Get disrepair periods and total rooms from request body
-    const { periods, totalRooms, rooms } = req.body;
+    // Validate the request and run the analysis
+    const { statusCode, payload } = processDisrepairRequest(req.body);
     
-    // Validate input
-    if (!periods || !Array.isArray(periods) || periods.length === 0) {
-      return res.status(400).json({
-        error: 'Invalid input - Disrepair periods required'
-      });
-    }
-    
-    // Validate each period has the required properties
-    for (const period of periods) {
-      if (!period.roomName || !period.startDate || !period.endDate) {
-        return res.status(400).json({ 
-          error: 'Invalid input - Each period must have roomName, startDate, and endDate'
-        });
-      }
-    }
-    
-    // For totalRooms: if explicitly provided, use it; otherwise calculate from unique rooms
-    let effectiveTotalRooms = null;
-    
-    // If rooms array is provided, use its length
-    if (rooms && Array.isArray(rooms)) {
-      effectiveTotalRooms = rooms.length;
-    } 
-    // If totalRooms is provided and valid, use it
-    else if (totalRooms && !isNaN(totalRooms) && totalRooms > 0) {
-      effectiveTotalRooms = parseInt(totalRooms, 10);
-    } 
-    // Otherwise, calculate from unique room names in periods
-    else {
-      const uniqueRooms = new Set();
-      periods.forEach(period => {
-        if (period.roomName) {
-          uniqueRooms.add(period.roomName);
-        }
-      });
-      effectiveTotalRooms = uniqueRooms.size;
-    }
-    
-    // Calculate overlapping periods with the determined totalRooms
-    const results = calculateDisrepairOverlap(periods, effectiveTotalRooms);
-    
-    // Return results
-    return res.status(200).json(results);
+    // Return results (or the validation error)
+    return res.status(statusCode).json(payload);
   } catch (error) {
     console.error('Error processing request:', error);
     return res.status(500).json({ 
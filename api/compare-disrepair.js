@@ -0,0 +1,73 @@
+// api/compare-disrepair.js
+const { validateApiKey } = require('../middleware');
+const { rateLimit } = require('../rate-limiter');
+const { processComparisonRequest } = require('../comparison-request');
+
+/**
+ * Adapter function to use middleware with Vercel serverless functions
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} middleware - Express middleware function to adapt
+ * @returns {Promise} Resolves when middleware completes
+ */
+function applyMiddleware(req, res, middleware) {
+  return new Promise((resolve, reject) => {
+    middleware(req, res, (result) => {
+      if (result instanceof Error) {
+        return reject(result);
+      }
+      return resolve(result);
+    });
+  });
+}
+
+/**
+ * Handler for the compare-disrepair API endpoint
+ * Analyses two or more named schedules of periods and compares them side by side
+ */
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'OPTIONS, POST, GET');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-Lexiotech-Frontend');
+
+  // Handle OPTIONS request (pre-flight)
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // Only allow POST method
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['POST', 'OPTIONS']
+    });
+  }
+  
+  try {
+    // Apply rate limiting first
+    console.log('Applying rate limiting...');
+    await applyMiddleware(req, res, rateLimit);
+
+    // Apply authentication middleware
+    console.log('Applying authentication...');
+    await applyMiddleware(req, res, validateApiKey);
+    
+    // If we get here, authentication was successful
+    console.log(`API request from: ${req.client?.name || 'Unknown client'}`);
+    
+    // Validate the request and analyse each scenario
+    const { statusCode, payload } = processComparisonRequest(req.body);
+    
+    // Return results (or the validation error)
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('Error processing request:', error);
+    return res.status(500).json({ 
+      error: 'Server error processing disrepair comparison',
+      details: error.message
+    });
+  }
+};
\ No newline at end of file
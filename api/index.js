@@ -2,7 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const { calculateDisrepairOverlap } = require('./calculator');
+const { processDisrepairRequest } = require('../disrepair-request');
+const { processComparisonRequest } = require('../comparison-request');
 
 /**
  * Main Express application configuration and setup
@@ -32,51 +33,11 @@ app.get('/api/ping', (req, res) => {
  */
 app.post('/api/calculate-disrepair', (req, res) => {
   try {
-    // Get disrepair periods and total rooms from request body
-    const { periods, totalRooms, rooms } = req.body;
+    // Validate the request and run the analysis
+    const { statusCode, payload } = processDisrepairRequest(req.body);
     
-    // Validate input
-    if (!periods || !Array.isArray(periods) || periods.length === 0) {
-      return res.status(400).json({ error: 'Invalid input - Disrepair periods required' });
-    }
-    
-    // Validate each period has required properties
-    for (const period of periods) {
-      if (!period.roomName || !period.startDate || !period.endDate) {
-        return res.status(400).json({ 
-          error: 'Invalid input - Each period must have roomName, startDate, and endDate' 
-        });
-      }
-    }
-    
-    // For totalRooms: if explicitly provided, use it; otherwise calculate from unique rooms
-    let effectiveTotalRooms = null;
-    
-    // If rooms array is provided, use its length
-    if (rooms && Array.isArray(rooms)) {
-      effectiveTotalRooms = rooms.length;
-    } 
-    // If totalRooms is provided and valid, use it
-    else if (totalRooms && !isNaN(totalRooms) && totalRooms > 0) {
-      effectiveTotalRooms = parseInt(totalRooms, 10);
-    } 
-    // Otherwise, calculate from unique room names in periods
-    else {
-      const uniqueRooms = new Set();
-      periods.forEach(period => {
-        if (period.roomName) {
-          uniqueRooms.add(period.roomName);
-        }
-      });
-      effectiveTotalRooms = uniqueRooms.size;
-      console.log(`No totalRooms provided, using count of unique rooms: ${effectiveTotalRooms}`);
-    }
-    
-    // Calculate overlapping periods with the determined totalRooms
-    const results = calculateDisrepairOverlap(periods, effectiveTotalRooms);
-    
-    // Return results
-    res.json(results);
+    // Return results (or the validation error)
+    res.status(statusCode).json(payload);
   } catch (error) {
     console.error('Error processing request:', error);
     res.status(500).json({ 
@@ -86,6 +47,26 @@ app.post('/api/calculate-disrepair', (req, res) => {
   }
 });
 
+/**
+ * Scenario comparison endpoint
+ * Analyses two or more named schedules of periods and compares them side by side
+ */
+app.post('/api/compare-disrepair', (req, res) => {
+  try {
+    // Validate the request and analyse each scenario
+    const { statusCode, payload } = processComparisonRequest(req.body);
+    
+    // Return the comparison (or the validation error)
+    res.status(statusCode).json(payload);
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ 
+      error: 'Server error processing disrepair comparison',
+      details: error.message
+    });
+  }
+});
+
 /**
  * API documentation endpoint
  * Serves the API documentation HTML page
@@ -102,6 +83,7 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log(`- API available at http://localhost:${PORT}/api/calculate-disrepair`);
+  console.log(`- Comparison API available at http://localhost:${PORT}/api/compare-disrepair`);
   console.log(`- Test interface at http://localhost:${PORT}`);
   console.log(`- API documentation at http://localhost:${PORT}/api-docs`);
 });
\ No newline at end of file
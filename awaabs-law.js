@@ -0,0 +1,218 @@
+// awaabs-law.js
+const { formatDateForOutput, parseDay, isOngoing } = require('./calculator');
+const { toDayNumber, fromDayNumber } = require('./public/js/date-parser');
+
+// Awaab's Law applies to hazards a social landlord becomes aware of from this date
+const AWAABS_LAW_START = '2025-10-27';
+
+// Defect types the deadlines currently apply to
+const AWAABS_LAW_DEFECT_TYPES = ['damp', 'mould'];
+
+/**
+ * Working days allowed for each stage of a significant hazard
+ * The investigation runs from the report, and the repair (the work to make
+ * the home safe) from the day the investigation concluded
+ */
+const WORKING_DAYS_ALLOWED = {
+  investigation: 10,
+  repair: 5
+};
+
+/**
+ * Work out the Awaab's Law deadlines for reported damp and mould and flag any breaches
+ * An emergency hazard must be investigated and made safe within 24 hours, taken
+ * here as by the end of the day after the report. Without a repairedDate the period's
+ * end date is taken as the repair (an ongoing period has not been repaired). Without an
+ * investigatedDate the repair deadline runs from the investigation deadline, and a
+ * repaired hazard is taken to have been investigated by the time it was repaired.
+ * @param {Array} periods - Periods with dates in YYYY-MM-DD format, a defectType, reportedDate,
+ *   and optionally investigatedDate, repairedDate and emergency
+ * @param {string} asOfDate - Date outstanding stages are measured up to, in YYYY-MM-DD format
+ * @returns {Object} Each reported damp or mould period with the deadline, completion and days late
+ *   for each stage, and the number of stages breached
+ */
+function calculateAwaabsLawDeadlines(periods, asOfDate) {
+  const asOf = parseDay(asOfDate);
+  const commencement = parseDay(AWAABS_LAW_START);
+  let breaches = 0;
+
+  const hazards = periods
+    .map((period, index) => ({ period, index }))
+    .filter(({ period }) => AWAABS_LAW_DEFECT_TYPES.includes(period.defectType) && period.reportedDate)
+    .map(({ period, index }) => {
+      const reported = parseDay(period.reportedDate);
+      const emergency = period.emergency === true;
+      const hazard = {
+        index,
+        roomName: period.roomName,
+        defectType: period.defectType,
+        emergency,
+        reportedDate: formatDateForOutput(reported),
+        inForce: reported >= commencement
+      };
+
+      // Reports made before Awaab's Law came into force have no deadlines
+      if (!hazard.inForce) {
+        return { ...hazard, stages: [] };
+      }
+
+      const investigated = period.investigatedDate ? parseDay(period.investigatedDate) : null;
+      const repaired = period.repairedDate
+        ? parseDay(period.repairedDate)
+        : (isOngoing(period.endDate) ? null : parseDay(period.endDate));
+
+      const investigationDeadline = emergency
+        ? reported + 1
+        : addWorkingDays(reported, WORKING_DAYS_ALLOWED.investigation);
+      const repairDeadline = emergency
+        ? reported + 1
+        : addWorkingDays(investigated !== null ? investigated : investigationDeadline, WORKING_DAYS_ALLOWED.repair);
+
+      const stages = [
+        assessStage('investigation', investigationDeadline, investigated !== null ? investigated : repaired, asOf),
+        assessStage('repair', repairDeadline, repaired, asOf)
+      ];
+
+      breaches += stages.filter(stage => stage.breached).length;
+
+      return { ...hazard, stages };
+    });
+
+  return {
+    asOfDate: formatDateForOutput(asOf),
+    periods: hazards,
+    breaches
+  };
+}
+
+/**
+ * Compare when a stage was done (or the as-of date, if it has not been) with its deadline
+ * @param {string} stage - "investigation" or "repair"
+ * @param {Number} deadline - Last day the stage could be done on time, as a day number
+ * @param {Number|null} completed - Day the stage was done, or null if it has not been
+ * @param {Number} asOf - Day outstanding stages are measured up to
+ * @returns {Object} The stage with its deadline, completedDate, status ("on-time", "late",
+ *   "pending" or "overdue"), whether it was breached and the days late
+ */
+function assessStage(stage, deadline, completed, asOf) {
+  const daysLate = Math.max((completed !== null ? completed : asOf) - deadline, 0);
+  let status;
+
+  if (completed !== null) {
+    status = daysLate > 0 ? 'late' : 'on-time';
+  } else {
+    status = daysLate > 0 ? 'overdue' : 'pending';
+  }
+
+  return {
+    stage,
+    deadline: formatDateForOutput(deadline),
+    completedDate: completed !== null ? formatDateForOutput(completed) : null,
+    status,
+    breached: daysLate > 0,
+    daysLate
+  };
+}
+
+/**
+ * Find the working day a number of working days after a date
+ * The date itself is not counted, and weekends and bank holidays are skipped.
+ * @param {Number} day - Calendar day number to count from
+ * @param {Number} workingDays - Number of working days to add
+ * @returns {Number} Calendar day number of the last working day
+ */
+function addWorkingDays(day, workingDays) {
+  let result = day;
+  let remaining = workingDays;
+
+  while (remaining > 0) {
+    result += 1;
+
+    if (isWorkingDay(result)) {
+      remaining -= 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a day is a working day (not a weekend or a bank holiday in England and Wales)
+ * @param {Number} day - Calendar day number
+ * @returns {boolean} True if a working day
+ */
+function isWorkingDay(day) {
+  // Day 0 (1 January 1970) was a Thursday
+  const weekday = (day + 4) % 7;
+
+  if (weekday === 0 || weekday === 6) {
+    return false;
+  }
+
+  const year = Number(fromDayNumber(day).slice(0, 4));
+  return !getBankHolidays(year).includes(day);
+}
+
+/**
+ * List the bank holidays in England and Wales for a year
+ * Holidays falling at a weekend move to the next weekday. One-off holidays
+ * announced for a particular year are not included.
+ * @param {Number} year - Calendar year
+ * @returns {Array} Calendar day numbers of the bank holidays
+ */
+function getBankHolidays(year) {
+  const dayOf = (month, date) => toDayNumber(`${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`);
+  const weekdayOf = day => (day + 4) % 7;
+  const nextWeekday = day => day + (weekdayOf(day) === 6 ? 2 : weekdayOf(day) === 0 ? 1 : 0);
+  const firstMonday = month => {
+    const first = dayOf(month, 1);
+    return first + (8 - weekdayOf(first)) % 7;
+  };
+  const lastMonday = (month, daysInMonth) => {
+    const last = dayOf(month, daysInMonth);
+    return last - (weekdayOf(last) + 6) % 7;
+  };
+
+  const easterSunday = getEasterSunday(year);
+
+  // Christmas Day and Boxing Day both move if either falls at a weekend
+  const christmas = nextWeekday(dayOf(12, 25));
+  const boxingDay = nextWeekday(Math.max(dayOf(12, 26), christmas + 1));
+
+  return [
+    nextWeekday(dayOf(1, 1)),
+    easterSunday - 2,
+    easterSunday + 1,
+    firstMonday(5),
+    lastMonday(5, 31),
+    lastMonday(8, 31),
+    christmas,
+    boxingDay
+  ];
+}
+
+/**
+ * Find Easter Sunday for a year (the anonymous Gregorian algorithm)
+ * @param {Number} year - Calendar year
+ * @returns {Number} Calendar day number of Easter Sunday
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const date = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return toDayNumber(`${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`);
+}
+
+module.exports = { calculateAwaabsLawDeadlines, AWAABS_LAW_DEFECT_TYPES, AWAABS_LAW_START };
@@ -1,16 +1,76 @@
+const {
+  DISPUTED_DATE_FIELDS,
+  parseDate,
+  isOngoingEndDate,
+  toDayNumber,
+  fromDayNumber,
+  todayInUk
+} = require('./public/js/date-parser');
+const { HHSRS_HAZARDS, HAZARD_BANDS, getHazardCategory } = require('./public/js/hhsrs');
+const { ELEMENT_TYPES, WHOLE_PROPERTY_RULES, DEFAULT_SEVERITY_WEIGHTS } = require('./public/js/period-types');
+const { DEFAULT_ROUNDING_MODE, roundTo, formatDuration } = require('./rounding');
+
+// Damages are normally limited to the six years before proceedings are issued
+const DEFAULT_LIMITATION_YEARS = 6;
+
+// Ways the results can be split into calendar buckets
+const BUCKET_TYPES = ['month', 'year', 'tenancy-year'];
+
+const DEFAULT_WHOLE_PROPERTY_RULE = 'all-rooms';
+
 /**
- * Calculate overlapping disrepair periods with percentage of property affected
- * @param {Array} periods - Array of disrepair periods with roomName, startDate, endDate
+ * Default days allowed for repair once the landlord has notice, by defect type
+ * Periods without a defect type use the "other" allowance
+ */
+const DEFAULT_REASONABLE_REPAIR_DAYS = {
+  heating: 1,
+  'hot-water': 1,
+  electrical: 1,
+  leak: 7,
+  damp: 28,
+  mould: 28,
+  structural: 28,
+  other: 28
+};
+
+
+/**
+ * Analyse disrepair periods and return the overlap results along with the
+ * supporting detail used to produce them
+ * @param {Array} periods - Array of disrepair periods with roomName, startDate, endDate and an optional elementType
  * @param {Number} totalRooms - Total number of rooms in the property (defaults to number of unique rooms if not provided)
- * @returns {Array} Results with roomCount, weeksInDisrepair, and percentageOfProperty
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.includeTimeline - Whether to expand the breakdown into a day-by-day timeline
+ * @param {Object} options.severityWeights - Weight for each severity level (merged over DEFAULT_SEVERITY_WEIGHTS)
+ * @param {Object} options.roomWeights - Weight or floor area for each room in the property, so the
+ *   percentage of property is the weighted share affected rather than count / totalRooms
+ * @param {string} options.asOfDate - Date that ongoing periods run up to (defaults to today in the UK)
+ * @param {Object} options.repairAllowances - Days allowed for repair by defect type (merged over DEFAULT_REASONABLE_REPAIR_DAYS)
+ * @param {string} options.claimIssueDate - Date proceedings were issued; days before the limitation window are excluded
+ * @param {Number} options.limitationYears - Length of the limitation window in years (defaults to 6)
+ * @param {Array} options.exclusions - Windows (startDate, endDate and an optional roomName) that are not
+ *   recoverable, such as refused access; without a roomName the whole property is excluded
+ * @param {string} options.bucket - Split the results by "month", "year" or "tenancy-year" (see BUCKET_TYPES)
+ * @param {string} options.tenancyStartDate - Date the tenancy started, which tenancy years run from; days before it are excluded
+ * @param {string} options.tenancyEndDate - Date the tenancy ended; days after it are excluded
+ * @param {string} options.rounding - How output figures are rounded (see ROUNDING_MODES, defaults to "half-up")
+ * @param {string} options.units - Also express each duration in "weeks", "days" or "weeks-and-days"
+ * @param {string} options.wholePropertyRule - How whole-property defects change the share affected
+ *   (see WHOLE_PROPERTY_RULES, defaults to "all-rooms")
+ * @returns {Object} Analysis with results (as per calculateDisrepairOverlap, with the best and worst case
+ *   for each band when any dates are disputed), merges made, a per-room breakdown, the same for any
+ *   whole-property elements and common parts, the days each HHSRS hazard was present,
+ *   any open-ended periods, the dates liability started, days excluded by the tenancy and by limitation, the
+ *   results for each bucket, the spans affected with the exact share of the property (for damages) and the periods,
+ *   grouped periods, exclusions applied and daily timeline behind the calculation
  */
-function calculateDisrepairOverlap(periods, totalRooms = null) {
+function analyseDisrepair(periods, totalRooms = null, options = {}) {
   // Ensure totalRooms is valid (default to number of unique rooms if not provided)
   if (!totalRooms || totalRooms <= 0) {
-    // Extract unique room names from the periods
+    // Extract unique room names from the periods (whole-property elements and common parts are not rooms)
     const uniqueRooms = new Set();
     periods.forEach(period => {
-      if (period.roomName) {
+      if (period.roomName && getElementType(period) === 'room') {
         uniqueRooms.add(period.roomName);
       }
     });
@@ -18,87 +78,684 @@ function calculateDisrepairOverlap(periods, totalRooms = null) {
     console.log(`Using count of unique rooms: ${totalRooms}`);
   }
   
-  // Convert string dates to Date objects
-  const processedPeriods = periods.map(period => ({
-    ...period,
-    startDate: new Date(formatDateForProcessing(period.startDate)),
-    endDate: new Date(formatDateForProcessing(period.endDate))
+  // Only report effective rooms when severity weighting or partial rooms are in use
+  const severityWeights = { ...DEFAULT_SEVERITY_WEIGHTS, ...options.severityWeights };
+  const partial = periods.some(period => period.extent !== undefined);
+  const weighted = Boolean(options.severityWeights) || periods.some(period => period.severity) || partial;
+  
+  // Ongoing periods run up to the as-of date
+  const asOfDate = parseDay(options.asOfDate || todayInUk());
+  
+  // Convert string dates to calendar day numbers, keeping track of the input position
+  const processedPeriods = periods.map((period, index) => {
+    const ongoing = isOngoing(period.endDate);
+    
+    return {
+      ...period,
+      index,
+      ongoing,
+      startDate: parseDay(period.startDate),
+      endDate: ongoing ? asOfDate : parseDay(period.endDate),
+      elementType: getElementType(period),
+      weight: period.severity ? severityWeights[period.severity] : 1,
+      extent: period.extent !== undefined ? period.extent : 1,
+      exclusions: []
+    };
+  });
+  
+  // List the open-ended periods so the response shows what was assumed
+  const openEndedPeriods = processedPeriods
+    .filter(period => period.ongoing)
+    .map(period => ({
+      index: period.index,
+      roomName: period.roomName,
+      startDate: formatDateForOutput(period.startDate),
+      endDate: formatDateForOutput(period.endDate)
+    }));
+  
+  // The landlord is only liable once they have notice and a reasonable time to repair
+  const liability = applyRepairAllowance(processedPeriods, {
+    ...DEFAULT_REASONABLE_REPAIR_DAYS,
+    ...options.repairAllowances
+  });
+  
+  // Only the days the tenant lived there count
+  const tenancy = options.tenancyStartDate || options.tenancyEndDate
+    ? applyTenancy(processedPeriods, options.tenancyStartDate, options.tenancyEndDate)
+    : null;
+  
+  // Clip every period to the limitation window before anything is counted
+  const limitation = options.claimIssueDate
+    ? applyLimitation(processedPeriods, options.claimIssueDate, options.limitationYears)
+    : null;
+  
+  // Subtract any exclusion windows, which can split a period into several parts
+  const { periods: countedPeriods, exclusions } = applyExclusions(processedPeriods, options.exclusions || []);
+  
+  // Union overlapping entries for the same room so it is only counted once per day
+  const { periods: mergedPeriods, merges } = mergeRoomPeriods(countedPeriods);
+  
+  // Group the timeline into spans where the same rooms are affected
+  const groupedPeriods = buildGroupedPeriods(countedPeriods);
+  
+  // Work out the rooms affected in each span and the share of the property they make up
+  const { roomWeights } = options;
+  const elementTypes = {};
+  processedPeriods.forEach(period => {
+    elementTypes[period.roomName] = elementTypes[period.roomName] || period.elementType;
+  });
+  
+  groupedPeriods.forEach(period => countAffectedRooms(period, {
+    elementTypes,
+    totalRooms,
+    roomWeights,
+    wholePropertyRule: options.wholePropertyRule || DEFAULT_WHOLE_PROPERTY_RULE
   }));
   
-  // Find overall date range
-  const minDate = new Date(Math.min(...processedPeriods.map(p => p.startDate)));
-  const maxDate = new Date(Math.max(...processedPeriods.map(p => p.endDate)));
+  const roomsWeighted = Boolean(roomWeights) || partial;
   
-  // Create a day-by-day timeline
-  const timeline = [];
-  const currentDate = new Date(minDate);
+  // Figures are only rounded once they are final, and never before being added up
+  const rounding = options.rounding || DEFAULT_ROUNDING_MODE;
+  const { units } = options;
+  const summarise = spans => summariseGroupedPeriods(spans, totalRooms, weighted, roomsWeighted, rounding, units);
+  
+  // Where the parties disagree on dates, also work out the best and worst case for each band
+  const disputed = periods.some(period => DISPUTED_DATE_FIELDS.some(field => period[field] !== undefined));
+  const results = disputed
+    ? addDisputedBounds(summarise(groupedPeriods), periods, totalRooms, options)
+    : summarise(groupedPeriods);
+  
+  // Whole-property elements and common parts are reported apart from the rooms
+  const elementPeriods = mergedPeriods.filter(period => period.elementType !== 'room');
+  
+  return {
+    results,
+    merges,
+    rooms: summariseRooms(mergedPeriods.filter(period => period.elementType === 'room'), rounding, units),
+    elements: elementPeriods.length > 0 ? summariseRooms(elementPeriods, rounding, units) : null,
+    hazards: periods.some(period => period.hazard)
+      ? summariseHazards(processedPeriods, countedPeriods, rounding, units)
+      : null,
+    asOfDate: formatDateForOutput(asOfDate),
+    // Damages are worked out from the unrounded share, so only the money figures are rounded
+    affectedPeriods: groupedPeriods
+      .filter(period => period.roomCount > 0)
+      .map(period => ({
+        startDate: formatDateForOutput(period.startDate),
+        endDate: formatDateForOutput(period.endDate),
+        roomCount: period.roomCount,
+        propertyShare: period.propertyShare
+      })),
+    openEndedPeriods,
+    liability,
+    tenancy,
+    limitation,
+    buckets: options.bucket
+      ? bucketGroupedPeriods(groupedPeriods, options.bucket, options.tenancyStartDate)
+        .map(bucket => ({
+          bucket: bucket.label,
+          startDate: formatDateForOutput(bucket.startDate),
+          endDate: formatDateForOutput(bucket.endDate),
+          days: bucket.days,
+          weeksInDisrepair: roundTo(bucket.days / 7, 1, rounding),
+          ...(units && { duration: formatDuration(bucket.days, units, rounding) }),
+          results: summarise(bucket.periods)
+        }))
+      : null,
+    breakdown: {
+      periods: mergedPeriods
+        .filter(period => period.endDate >= period.startDate)
+        .map(period => ({
+          roomName: period.roomName,
+          ...(period.elementType !== 'room' && { elementType: period.elementType }),
+          startDate: formatDateForOutput(period.startDate),
+          endDate: formatDateForOutput(period.endDate),
+          ongoing: period.ongoing
+        })),
+      groupedPeriods: groupedPeriods.map(period => ({
+        startDate: formatDateForOutput(period.startDate),
+        endDate: formatDateForOutput(period.endDate),
+        roomCount: period.roomCount,
+        ...(weighted && { effectiveRoomsAffected: roundEffectiveRooms(period.effectiveRooms, rounding) }),
+        percentageOfProperty: roundTo(period.propertyShare * 100, 1, rounding),
+        rooms: period.rooms,
+        days: period.endDate - period.startDate + 1
+      })),
+      // How much each exclusion window removed
+      exclusions: exclusions.map(({ removed, ...exclusion }) => exclusion),
+      // Parts of periods that were not counted (before liability, outside the tenancy or limitation, or excluded),
+      // for display only
+      excludedPeriods: [
+        ...processedPeriods.flatMap(period => period.exclusions.map(exclusion => ({
+          roomName: period.roomName,
+          startDate: formatDateForOutput(exclusion.startDate),
+          endDate: formatDateForOutput(exclusion.endDate),
+          reason: exclusion.reason
+        }))),
+        ...exclusions.flatMap(exclusion => exclusion.removed)
+      ],
+      // Ranges within which a disputed start or end date falls, for display only
+      uncertainPeriods: listUncertainPeriods(periods),
+      // The daily timeline grows with the length of the claim, so only build it on request
+      timeline: options.includeTimeline ? expandGroupedPeriods(groupedPeriods) : undefined
+    }
+  };
+}
+
+/**
+ * Add the best and worst case to each room-count band for disputed dates
+ * The best case runs each period from its latest possible start to its earliest
+ * possible end, and the worst case from its earliest start to its latest end.
+ * A band that only appears in one of the cases is added with no central days.
+ * @param {Array} results - Results for the central dates (see summariseGroupedPeriods)
+ * @param {Array} periods - Periods as passed to analyseDisrepair, with any disputed date ranges
+ * @param {Number} totalRooms - Total number of rooms in the property
+ * @param {Object} options - Options as passed to analyseDisrepair
+ * @returns {Array} Results with minDays, maxDays, minWeeksInDisrepair and maxWeeksInDisrepair
+ *   (and minDuration and maxDuration when units are set)
+ */
+function addDisputedBounds(results, periods, totalRooms, options) {
+  const rounding = options.rounding || DEFAULT_ROUNDING_MODE;
+  const { units } = options;
+  
+  const analyseCase = (startField, endField) => analyseDisrepair(
+    periods.map(period => useDisputedDates(period, startField, endField)),
+    totalRooms,
+    { ...options, includeTimeline: false, bucket: null }
+  ).results;
+  
+  const cases = [
+    results,
+    analyseCase('latestStartDate', 'earliestEndDate'),
+    analyseCase('earliestStartDate', 'latestEndDate')
+  ];
+  
+  const roomCounts = [...new Set(cases.flat().map(result => result.roomCount))].sort((a, b) => a - b);
+  
+  return roomCounts.map(roomCount => {
+    const matches = cases.map(figures => figures.find(result => result.roomCount === roomCount));
+    const days = matches.map(result => (result ? result.days : 0));
+    const minDays = Math.min(...days);
+    const maxDays = Math.max(...days);
+    
+    // A band missing from the central case takes its other figures from the case it appears in
+    const central = matches[0] || {
+      ...matches.find(Boolean),
+      days: 0,
+      weeksInDisrepair: 0,
+      ...(units && { duration: formatDuration(0, units, rounding) })
+    };
+    
+    return {
+      ...central,
+      minDays,
+      maxDays,
+      minWeeksInDisrepair: roundTo(minDays / 7, 1, rounding),
+      maxWeeksInDisrepair: roundTo(maxDays / 7, 1, rounding),
+      ...(units && {
+        minDuration: formatDuration(minDays, units, rounding),
+        maxDuration: formatDuration(maxDays, units, rounding)
+      })
+    };
+  });
+}
+
+/**
+ * Replace a period's dates with one end of its disputed ranges
+ * @param {Object} period - Period with startDate, endDate and any disputed date ranges
+ * @param {string} startField - Field to take the start date from, if given
+ * @param {string} endField - Field to take the end date from, if given
+ * @returns {Object} The period with the chosen dates and no disputed ranges
+ */
+function useDisputedDates(period, startField, endField) {
+  const settled = { ...period };
+  DISPUTED_DATE_FIELDS.forEach(field => delete settled[field]);
+  
+  settled.startDate = period[startField] || period.startDate;
+  settled.endDate = period[endField] || period.endDate;
+  
+  return settled;
+}
+
+/**
+ * List the date ranges of disputed start and end dates
+ * @param {Array} periods - Periods with startDate, endDate and any disputed date ranges
+ * @returns {Array} Ranges with roomName, startDate, endDate and the edge ("start" or "end") that is uncertain
+ */
+function listUncertainPeriods(periods) {
+  const range = (period, edge, from, to) => ({
+    roomName: period.roomName,
+    startDate: formatDateForOutput(parseDay(from)),
+    endDate: formatDateForOutput(parseDay(to)),
+    edge
+  });
+  
+  return periods.flatMap(period => [
+    ...(period.earliestStartDate || period.latestStartDate
+      ? [range(period, 'start', period.earliestStartDate || period.startDate, period.latestStartDate || period.startDate)]
+      : []),
+    ...(period.earliestEndDate || period.latestEndDate
+      ? [range(period, 'end', period.earliestEndDate || period.endDate, period.latestEndDate || period.endDate)]
+      : [])
+  ]);
+}
+
+/**
+ * Calculate overlapping disrepair periods with percentage of property affected
+ * @param {Array} periods - Array of disrepair periods with roomName, startDate, endDate
+ * @param {Number} totalRooms - Total number of rooms in the property (defaults to number of unique rooms if not provided)
+ * @param {Array} exclusions - Windows to subtract from the periods before counting (see analyseDisrepair)
+ * @returns {Array} Results with roomCount, days, weeksInDisrepair, and percentageOfProperty
+ */
+function calculateDisrepairOverlap(periods, totalRooms = null, exclusions = []) {
+  return analyseDisrepair(periods, totalRooms, { exclusions }).results;
+}
+
+/**
+ * Move the start of each reported period to the date the landlord became liable
+ * A landlord is only liable once they have notice of the defect and a
+ * reasonable time to repair it has passed, so days before then are not counted.
+ * @param {Array} processedPeriods - Periods with startDate and endDate as day numbers (updated in place)
+ * @param {Object} repairAllowances - Days allowed for repair by defect type
+ * @returns {Object|null} The original and liable dates of each reported period, or null if none were reported
+ */
+function applyRepairAllowance(processedPeriods, repairAllowances) {
+  const liablePeriods = [];
   
-  while (currentDate <= maxDate) {
-    timeline.push({
-      date: new Date(currentDate),
-      roomCount: 0
+  processedPeriods.forEach(period => {
+    if (!period.reportedDate) {
+      return;
+    }
+    
+    const reportedDate = parseDay(period.reportedDate);
+    const reasonableRepairDays = period.reasonableRepairDays !== undefined
+      ? period.reasonableRepairDays
+      : repairAllowances[period.defectType || 'other'];
+    
+    // Liability starts once the allowance has run, but never before the defect started
+    const liableFrom = Math.max(period.startDate, reportedDate + reasonableRepairDays);
+    const lastNonLiable = Math.min(period.endDate, liableFrom - 1);
+    const nonLiableDays = Math.max(0, lastNonLiable - period.startDate + 1);
+    
+    if (nonLiableDays > 0) {
+      period.exclusions.push({ startDate: period.startDate, endDate: lastNonLiable, reason: 'notice' });
+    }
+    
+    liablePeriods.push({
+      index: period.index,
+      roomName: period.roomName,
+      defectType: period.defectType || null,
+      startDate: formatDateForOutput(period.startDate),
+      reportedDate: formatDateForOutput(reportedDate),
+      reasonableRepairDays,
+      liableFrom: liableFrom <= period.endDate ? formatDateForOutput(liableFrom) : null,
+      endDate: formatDateForOutput(period.endDate),
+      nonLiableDays
     });
-    currentDate.setDate(currentDate.getDate() + 1);
+    
+    period.startDate = liableFrom;
+  });
+  
+  if (liablePeriods.length === 0) {
+    return null;
   }
   
-  // Count rooms in disrepair for each day
-  timeline.forEach(day => {
-    processedPeriods.forEach(period => {
-      if (day.date >= period.startDate && day.date <= period.endDate) {
-        day.roomCount += 1;
+  return {
+    periods: liablePeriods,
+    totalNonLiableDays: liablePeriods.reduce((sum, period) => sum + period.nonLiableDays, 0)
+  };
+}
+
+/**
+ * Clip periods to the tenancy
+ * Disrepair before the tenancy started or after it ended did not affect the
+ * tenant, so each period's start and end are moved inside the tenancy where necessary.
+ * @param {Array} processedPeriods - Periods with startDate and endDate as day numbers (updated in place)
+ * @param {string} tenancyStartDate - Date the tenancy started (null if not known)
+ * @param {string} tenancyEndDate - Date the tenancy ended (null if it has not ended)
+ * @returns {Object} The tenancy applied and the days excluded from each period
+ */
+function applyTenancy(processedPeriods, tenancyStartDate, tenancyEndDate) {
+  const firstDay = tenancyStartDate ? parseDay(tenancyStartDate) : -Infinity;
+  const lastDay = tenancyEndDate ? parseDay(tenancyEndDate) : Infinity;
+  
+  const excluded = [];
+  
+  processedPeriods.forEach(period => {
+    // Periods already outside liability have nothing left to clip
+    if (period.startDate > period.endDate || (period.startDate >= firstDay && period.endDate <= lastDay)) {
+      return;
+    }
+    
+    const { startDate, endDate } = period;
+    let excludedDays = 0;
+    
+    if (startDate < firstDay) {
+      const lastExcluded = Math.min(endDate, firstDay - 1);
+      period.exclusions.push({ startDate, endDate: lastExcluded, reason: 'tenancy' });
+      excludedDays += lastExcluded - startDate + 1;
+    }
+    
+    if (endDate > lastDay) {
+      const firstExcluded = Math.max(startDate, lastDay + 1);
+      period.exclusions.push({ startDate: firstExcluded, endDate, reason: 'tenancy' });
+      excludedDays += endDate - firstExcluded + 1;
+    }
+    
+    // A period wholly outside the tenancy is left with no days to count
+    period.startDate = Math.max(startDate, firstDay);
+    period.endDate = Math.min(endDate, lastDay);
+    
+    excluded.push({
+      index: period.index,
+      roomName: period.roomName,
+      startDate: formatDateForOutput(startDate),
+      endDate: formatDateForOutput(endDate),
+      countedFrom: period.startDate <= period.endDate ? formatDateForOutput(period.startDate) : null,
+      countedTo: period.startDate <= period.endDate ? formatDateForOutput(period.endDate) : null,
+      excludedDays
+    });
+  });
+  
+  return {
+    tenancyStartDate: tenancyStartDate ? formatDateForOutput(firstDay) : null,
+    tenancyEndDate: tenancyEndDate ? formatDateForOutput(lastDay) : null,
+    periods: excluded,
+    totalExcludedDays: excluded.reduce((sum, period) => sum + period.excludedDays, 0)
+  };
+}
+
+/**
+ * Clip periods to the limitation window ending on the claim issue date
+ * Days before the window starts are not recoverable, so each period's start
+ * is moved forward to the start of the window where necessary.
+ * @param {Array} processedPeriods - Periods with startDate and endDate as day numbers (updated in place)
+ * @param {string} claimIssueDate - Date proceedings were issued
+ * @param {Number} limitationYears - Length of the limitation window in years
+ * @returns {Object} The window applied and the days excluded from each period
+ */
+function applyLimitation(processedPeriods, claimIssueDate, limitationYears = DEFAULT_LIMITATION_YEARS) {
+  // Count back whole years on the calendar (29 February rolls on to 1 March)
+  const issueDate = formatDateForProcessing(claimIssueDate);
+  const [year, month, day] = issueDate.split('-').map(Number);
+  const windowStart = toDayNumber(`${year - limitationYears}-${month}-${day}`);
+  
+  const excluded = [];
+  
+  processedPeriods.forEach(period => {
+    // Periods already outside liability have nothing left to clip
+    if (period.startDate > period.endDate || period.startDate >= windowStart) {
+      return;
+    }
+    
+    // Count the excluded days up to the window start (or the whole period if it ends before then)
+    const lastExcluded = Math.min(period.endDate, windowStart - 1);
+    const excludedDays = lastExcluded - period.startDate + 1;
+    
+    period.exclusions.push({ startDate: period.startDate, endDate: lastExcluded, reason: 'limitation' });
+    
+    excluded.push({
+      index: period.index,
+      roomName: period.roomName,
+      startDate: formatDateForOutput(period.startDate),
+      endDate: formatDateForOutput(period.endDate),
+      countedFrom: period.endDate >= windowStart ? formatDateForOutput(windowStart) : null,
+      excludedDays
+    });
+    
+    period.startDate = windowStart;
+  });
+  
+  return {
+    claimIssueDate: issueDate,
+    limitationYears,
+    limitationStartDate: formatDateForOutput(windowStart),
+    periods: excluded,
+    totalExcludedDays: excluded.reduce((sum, period) => sum + period.excludedDays, 0)
+  };
+}
+
+/**
+ * Subtract exclusion windows from the periods
+ * Each window is taken out of every period it overlaps (only periods for its
+ * room if it has a roomName), splitting a period in two where the window falls
+ * inside it. Windows are applied in order, so days already removed by an
+ * earlier window are not counted again.
+ * @param {Array} processedPeriods - Periods with roomName, startDate and endDate as day numbers
+ * @param {Array} exclusionWindows - Windows with startDate, endDate and optional roomName and reason
+ * @returns {Object} The remaining periods, and the days each window removed in total and per room
+ */
+function applyExclusions(processedPeriods, exclusionWindows) {
+  let remaining = processedPeriods;
+  
+  const exclusions = exclusionWindows.map((window, index) => {
+    const windowStart = parseDay(window.startDate);
+    const windowEnd = parseDay(window.endDate);
+    const removedByRoom = new Map();
+    
+    remaining = remaining.flatMap(period => {
+      const applies = !window.roomName || window.roomName === period.roomName;
+      
+      if (!applies || !(period.endDate >= period.startDate) ||
+          windowEnd < period.startDate || windowStart > period.endDate) {
+        return [period];
       }
+      
+      // Record the part removed, then keep whatever is left either side of the window
+      if (!removedByRoom.has(period.roomName)) {
+        removedByRoom.set(period.roomName, []);
+      }
+      removedByRoom.get(period.roomName).push({
+        startDate: Math.max(windowStart, period.startDate),
+        endDate: Math.min(windowEnd, period.endDate)
+      });
+      
+      const parts = [];
+      
+      if (period.startDate < windowStart) {
+        parts.push({ ...period, endDate: windowStart - 1 });
+      }
+      
+      if (period.endDate > windowEnd) {
+        parts.push({ ...period, startDate: windowEnd + 1 });
+      }
+      
+      return parts;
     });
+    
+    // A room with overlapping entries only loses each day once
+    const rooms = [...removedByRoom.entries()].map(([roomName, segments]) => ({
+      roomName,
+      segments: unionDateRanges(segments)
+    }));
+    
+    const roomDays = rooms.map(room => ({
+      roomName: room.roomName,
+      daysRemoved: room.segments.reduce((sum, segment) => sum + segment.endDate - segment.startDate + 1, 0)
+    }));
+    
+    return {
+      index,
+      roomName: window.roomName || null,
+      startDate: formatDateForOutput(windowStart),
+      endDate: formatDateForOutput(windowEnd),
+      reason: window.reason || null,
+      daysRemoved: roomDays.reduce((sum, room) => sum + room.daysRemoved, 0),
+      rooms: roomDays,
+      removed: rooms.flatMap(room => room.segments.map(segment => ({
+        roomName: room.roomName,
+        startDate: formatDateForOutput(segment.startDate),
+        endDate: formatDateForOutput(segment.endDate),
+        reason: 'exclusion'
+      })))
+    };
   });
   
-  // Group consecutive days with the same count
-  const groupedPeriods = [];
-  let currentGroup = null;
+  return { periods: remaining, exclusions };
+}
+
+/**
+ * Split the grouped periods at bucket boundaries (months, years or tenancy years)
+ * @param {Array} groupedPeriods - Spans with startDate and endDate as day numbers
+ * @param {string} bucket - "month", "year" or "tenancy-year"
+ * @param {string} tenancyStartDate - Date the tenancy started (needed for "tenancy-year")
+ * @returns {Array} Buckets with any disrepair, earliest first, each with a label, its start and end day,
+ *   the days of disrepair in it and the parts of the grouped periods that fall inside it
+ */
+function bucketGroupedPeriods(groupedPeriods, bucket, tenancyStartDate = null) {
+  const tenancyStart = bucket === 'tenancy-year' ? formatDateForProcessing(tenancyStartDate) : null;
+  const buckets = new Map();
   
-  timeline.forEach(day => {
-    if (!currentGroup || currentGroup.roomCount !== day.roomCount) {
-      if (currentGroup) {
-        groupedPeriods.push(currentGroup);
+  groupedPeriods.forEach(period => {
+    if (period.roomCount === 0) {
+      return;
+    }
+    
+    // Walk through the buckets this period overlaps
+    let start = period.startDate;
+    
+    while (start <= period.endDate) {
+      const bounds = getBucketBounds(start, bucket, tenancyStart);
+      const end = Math.min(period.endDate, bounds.endDate);
+      
+      if (!buckets.has(bounds.label)) {
+        buckets.set(bounds.label, { ...bounds, days: 0, periods: [] });
       }
       
-      currentGroup = {
-        startDate: new Date(day.date),
-        endDate: new Date(day.date),
-        roomCount: day.roomCount
-      };
-    } else {
-      currentGroup.endDate = new Date(day.date);
+      const entry = buckets.get(bounds.label);
+      entry.days += end - start + 1;
+      entry.periods.push({ ...period, startDate: start, endDate: end });
+      
+      start = end + 1;
     }
   });
   
-  if (currentGroup) {
-    groupedPeriods.push(currentGroup);
+  return [...buckets.values()].sort((a, b) => a.startDate - b.startDate);
+}
+
+/**
+ * Find the bucket a day falls in
+ * Tenancy years run from each anniversary of the tenancy start date
+ * (29 February rolls on to 1 March in other years).
+ * @param {Number} day - Calendar day number
+ * @param {string} bucket - "month", "year" or "tenancy-year"
+ * @param {string} tenancyStart - Tenancy start date in YYYY-MM-DD format (for "tenancy-year")
+ * @returns {Object} The bucket's label, and its first and last days as day numbers
+ */
+function getBucketBounds(day, bucket, tenancyStart) {
+  const [year, month] = formatDateForOutput(day).split('-').map(Number);
+  
+  if (bucket === 'month') {
+    return {
+      label: `${year}-${String(month).padStart(2, '0')}`,
+      startDate: toDayNumber(`${year}-${month}-1`),
+      endDate: toDayNumber(`${year}-${month + 1}-1`) - 1
+    };
+  }
+  
+  if (bucket === 'year') {
+    return {
+      label: String(year),
+      startDate: toDayNumber(`${year}-1-1`),
+      endDate: toDayNumber(`${year + 1}-1-1`) - 1
+    };
   }
   
-  // Calculate total weeks for each room count
+  const [startYear, startMonth, startDay] = tenancyStart.split('-').map(Number);
+  const anniversary = offset => toDayNumber(`${startYear + offset}-${startMonth}-${startDay}`);
+  
+  // Count the anniversaries passed, starting from the one in the same calendar year
+  let yearsIn = year - startYear;
+  if (day < anniversary(yearsIn)) {
+    yearsIn -= 1;
+  }
+  
+  return {
+    label: `Tenancy year ${yearsIn + 1}`,
+    startDate: anniversary(yearsIn),
+    endDate: anniversary(yearsIn + 1) - 1
+  };
+}
+
+/**
+ * Combine date ranges that overlap or touch
+ * @param {Array} ranges - Ranges with startDate and endDate as day numbers
+ * @returns {Array} Non-overlapping ranges, earliest first
+ */
+function unionDateRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.startDate - b.startDate);
+  const combined = [];
+  
+  sorted.forEach(range => {
+    const last = combined[combined.length - 1];
+    
+    if (last && range.startDate <= last.endDate + 1) {
+      if (range.endDate > last.endDate) {
+        last.endDate = range.endDate;
+      }
+    } else {
+      combined.push({ ...range });
+    }
+  });
+  
+  return combined;
+}
+
+/**
+ * Total up the grouped periods by room count
+ * @param {Array} groupedPeriods - Spans with startDate, endDate, roomCount and effectiveRooms
+ * @param {Number} totalRooms - Total number of rooms in the property
+ * @param {boolean} weighted - Whether to include the weighted effectiveRoomsAffected
+ * @param {boolean} roomsWeighted - Whether rooms carry their own weights or are only partly affected,
+ *   so the percentage varies within a room count
+ * @param {string} rounding - How the final figures are rounded (see ROUNDING_MODES)
+ * @param {string} units - Units for an extra duration figure, if wanted (see DURATION_UNITS)
+ * @returns {Array} Results with roomCount, the exact days, weeksInDisrepair, and percentageOfProperty
+ */
+function summariseGroupedPeriods(groupedPeriods, totalRooms, weighted = false, roomsWeighted = false,
+  rounding = DEFAULT_ROUNDING_MODE, units = null) {
+  // Calculate total days (and weighted room-days and property share) for each room count
   const roomCountTotals = {};
   
   groupedPeriods.forEach(period => {
     const { roomCount } = period;
     if (roomCount > 0) {
-      const days = (period.endDate - period.startDate) / (1000 * 60 * 60 * 24) + 1;
-      const weeks = days / 7.0;
+      const days = period.endDate - period.startDate + 1;
       
-      if (roomCountTotals[roomCount]) {
-        roomCountTotals[roomCount] += weeks;
-      } else {
-        roomCountTotals[roomCount] = weeks;
+      if (!roomCountTotals[roomCount]) {
+        roomCountTotals[roomCount] = { days: 0, effectiveRoomDays: 0, propertyShareDays: 0 };
       }
+      
+      roomCountTotals[roomCount].days += days;
+      roomCountTotals[roomCount].effectiveRoomDays += period.effectiveRooms * days;
+      roomCountTotals[roomCount].propertyShareDays += period.propertyShare * days;
     }
   });
   
   // Format results with percentage calculations
-  const results = Object.entries(roomCountTotals).map(([roomCount, weeks]) => {
+  const results = Object.entries(roomCountTotals).map(([roomCount, totals]) => {
     const count = parseInt(roomCount, 10);
-    return {
+    
+    // With weighted rooms, average the share affected across the time at this room count
+    const share = roomsWeighted ? totals.propertyShareDays / totals.days : count / totalRooms;
+    
+    const result = {
       roomCount: count,
-      weeksInDisrepair: parseFloat(weeks.toFixed(1)),
-      percentageOfProperty: parseFloat(((count / totalRooms) * 100).toFixed(1))
+      days: totals.days,
+      weeksInDisrepair: roundTo(totals.days / 7, 1, rounding),
+      percentageOfProperty: roundTo(share * 100, 1, rounding)
     };
+    
+    if (units) {
+      result.duration = formatDuration(totals.days, units, rounding);
+    }
+    
+    // Average effective rooms across the time spent at this room count
+    if (weighted) {
+      result.effectiveRoomsAffected = roundEffectiveRooms(totals.effectiveRoomDays / totals.days, rounding);
+    }
+    
+    return result;
   });
   
   // Sort by room count
@@ -106,27 +763,433 @@ function calculateDisrepairOverlap(periods, totalRooms = null) {
 }
 
 /**
- * Format date from DD/MM/YYYY (UK format) to YYYY-MM-DD (ISO format)
- * @param {string} dateStr - Date string to format
- * @returns {string} Formatted date string in YYYY-MM-DD format
+ * Total up the merged periods for each room
+ * @param {Array} mergedPeriods - Periods after overlapping entries for the same room have been merged
+ * @param {string} rounding - How weeks are rounded (see ROUNDING_MODES)
+ * @param {string} units - Units for an extra duration figure, if wanted (see DURATION_UNITS)
+ * @returns {Array} Per-room results with the exact days, weeksInDisrepair, first and last affected dates and periodCount
+ *   (and the elementType of anything that is not a room)
+ */
+function summariseRooms(mergedPeriods, rounding = DEFAULT_ROUNDING_MODE, units = null) {
+  const roomTotals = new Map();
+  
+  mergedPeriods.forEach(period => {
+    const days = period.endDate - period.startDate + 1;
+    
+    // Ignore inverted periods, as the overlap calculation does
+    if (days <= 0) {
+      return;
+    }
+    
+    const totals = roomTotals.get(period.roomName);
+    
+    if (!totals) {
+      roomTotals.set(period.roomName, {
+        elementType: period.elementType,
+        days,
+        firstAffectedDate: period.startDate,
+        lastAffectedDate: period.endDate,
+        periodCount: 1
+      });
+      return;
+    }
+    
+    totals.days += days;
+    totals.periodCount += 1;
+    
+    if (period.startDate < totals.firstAffectedDate) {
+      totals.firstAffectedDate = period.startDate;
+    }
+    
+    if (period.endDate > totals.lastAffectedDate) {
+      totals.lastAffectedDate = period.endDate;
+    }
+  });
+  
+  return [...roomTotals.entries()].map(([roomName, totals]) => ({
+    roomName,
+    ...(totals.elementType && totals.elementType !== 'room' && { elementType: totals.elementType }),
+    days: totals.days,
+    weeksInDisrepair: roundTo(totals.days / 7, 1, rounding),
+    ...(units && { duration: formatDuration(totals.days, units, rounding) }),
+    firstAffectedDate: formatDateForOutput(totals.firstAffectedDate),
+    lastAffectedDate: formatDateForOutput(totals.lastAffectedDate),
+    periodCount: totals.periodCount
+  }));
+}
+
+/**
+ * Total up the days each HHSRS hazard was present
+ * A day counts once for a hazard however many rooms it was in. Where a hazard's
+ * periods give different bands, the most serious band is reported.
+ * @param {Array} processedPeriods - Periods as given, with any hazard and hazardBand
+ * @param {Array} countedPeriods - The parts of the periods that are counted (after notice, tenancy,
+ *   limitation and exclusions), with startDate and endDate as day numbers
+ * @param {string} rounding - How weeks are rounded (see ROUNDING_MODES)
+ * @param {string} units - Units for an extra duration figure, if wanted (see DURATION_UNITS)
+ * @returns {Array} Hazards in HHSRS order with their number, name, band and category (when a band was
+ *   given), the exact days, weeksInDisrepair and the rooms affected
+ */
+function summariseHazards(processedPeriods, countedPeriods, rounding = DEFAULT_ROUNDING_MODE, units = null) {
+  return HHSRS_HAZARDS
+    .filter(({ hazard }) => processedPeriods.some(period => period.hazard === hazard))
+    .map(({ number, hazard, name }) => {
+      const counted = countedPeriods.filter(period => period.hazard === hazard && period.endDate >= period.startDate);
+      const days = unionDateRanges(counted)
+        .reduce((sum, range) => sum + range.endDate - range.startDate + 1, 0);
+      
+      // A lower band index is a more serious hazard
+      const bands = processedPeriods
+        .filter(period => period.hazard === hazard && period.hazardBand)
+        .map(period => HAZARD_BANDS.indexOf(period.hazardBand));
+      const band = bands.length > 0 ? HAZARD_BANDS[Math.min(...bands)] : null;
+      
+      return {
+        number,
+        hazard,
+        name,
+        ...(band && { band, category: getHazardCategory(band) }),
+        days,
+        weeksInDisrepair: roundTo(days / 7, 1, rounding),
+        ...(units && { duration: formatDuration(days, units, rounding) }),
+        rooms: [...new Set(counted.map(period => period.roomName))]
+      };
+    });
+}
+
+/**
+ * Merge overlapping periods recorded against the same room
+ * Periods that share at least one day are replaced by their union, so a room
+ * with several defects at once still only counts as one room in disrepair.
+ * @param {Array} processedPeriods - Periods with index, startDate and endDate as day numbers
+ * @returns {Object} The merged periods and a list of the merges that were made
+ */
+function mergeRoomPeriods(processedPeriods) {
+  // Group the periods by room, preserving first-seen order
+  const periodsByRoom = new Map();
+  
+  processedPeriods.forEach(period => {
+    // Periods with no days left to count (for example, wholly outside limitation) are not merged
+    if (period.endDate < period.startDate) {
+      return;
+    }
+    
+    if (!periodsByRoom.has(period.roomName)) {
+      periodsByRoom.set(period.roomName, []);
+    }
+    periodsByRoom.get(period.roomName).push(period);
+  });
+  
+  const mergedPeriods = [];
+  const merges = [];
+  
+  periodsByRoom.forEach((roomPeriods, roomName) => {
+    const sorted = [...roomPeriods].sort((a, b) => a.startDate - b.startDate);
+    let current = null;
+    
+    sorted.forEach(period => {
+      if (current && period.startDate <= current.endDate) {
+        // Overlaps the running period, so extend it
+        if (period.endDate > current.endDate) {
+          current.endDate = period.endDate;
+          current.ongoing = period.ongoing;
+        } else if (period.endDate === current.endDate) {
+          current.ongoing = current.ongoing || period.ongoing;
+        }
+        current.sources.push(period);
+      } else {
+        current = {
+          roomName,
+          elementType: period.elementType,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          ongoing: period.ongoing,
+          sources: [period]
+        };
+        mergedPeriods.push(current);
+      }
+    });
+  });
+  
+  // Record every union that replaced more than one input period
+  mergedPeriods.forEach(period => {
+    if (period.sources.length > 1) {
+      merges.push({
+        roomName: period.roomName,
+        startDate: formatDateForOutput(period.startDate),
+        endDate: formatDateForOutput(period.endDate),
+        mergedPeriods: period.sources.map(source => ({
+          index: source.index,
+          startDate: formatDateForOutput(source.startDate),
+          endDate: formatDateForOutput(source.endDate)
+        }))
+      });
+    }
+  });
+  
+  return {
+    periods: mergedPeriods.map(({ sources, ...period }) => period),
+    merges
+  };
+}
+
+/**
+ * Build the grouped timeline by sweeping over period boundaries
+ * Each period adds its room on its start date and removes it on the day after
+ * its end date, so the cost depends on the number of periods rather than the
+ * number of days covered. A room with several overlapping entries is only
+ * counted once, at the weight of its most severe entry and the extent of its
+ * most widespread one.
+ * @param {Array} processedPeriods - Periods with roomName, weight, extent, startDate and endDate as day numbers
+ * @returns {Array} Consecutive spans with startDate, endDate, roomCount, effectiveRooms, the rooms
+ *   affected and the extent (fraction) and weight of each room affected
+ */
+function buildGroupedPeriods(processedPeriods) {
+  // Collect the entries starting and finishing at each boundary
+  const changes = new Map();
+  
+  const changesAt = day => {
+    if (!changes.has(day)) {
+      changes.set(day, { starting: [], finishing: [] });
+    }
+    return changes.get(day);
+  };
+  
+  processedPeriods.forEach(period => {
+    const start = period.startDate;
+    const end = period.endDate + 1;
+    
+    // Skip inverted periods, which cover no days
+    if (end <= start) {
+      return;
+    }
+    
+    changesAt(start).starting.push(period);
+    changesAt(end).finishing.push(period);
+  });
+  
+  const boundaries = [...changes.keys()].sort((a, b) => a - b);
+  
+  // Walk the boundaries, emitting a span between each pair
+  const groupedPeriods = [];
+  const activeEntries = new Map();
+  
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const { starting, finishing } = changes.get(boundaries[i]);
+    
+    finishing.forEach(period => {
+      const entries = activeEntries.get(period.roomName);
+      entries.splice(entries.indexOf(period), 1);
+      if (entries.length === 0) {
+        activeEntries.delete(period.roomName);
+      }
+    });
+    
+    starting.forEach(period => {
+      if (!activeEntries.has(period.roomName)) {
+        activeEntries.set(period.roomName, []);
+      }
+      activeEntries.get(period.roomName).push(period);
+    });
+    
+    const rooms = [...activeEntries.keys()];
+    const extents = {};
+    const weights = {};
+    let effectiveRooms = 0;
+    
+    activeEntries.forEach((entries, roomName) => {
+      extents[roomName] = Math.max(...entries.map(entry => entry.extent));
+      weights[roomName] = Math.max(...entries.map(entry => entry.weight));
+      effectiveRooms += weights[roomName] * extents[roomName];
+    });
+    
+    const previous = groupedPeriods[groupedPeriods.length - 1];
+    const endDate = boundaries[i + 1] - 1;
+    
+    // Extend the previous span if the same rooms are still affected to the same degree
+    if (previous && haveSameRooms(previous.rooms, rooms) &&
+        Math.abs(previous.effectiveRooms - effectiveRooms) < 1e-9 &&
+        rooms.every(roomName => previous.extents[roomName] === extents[roomName])) {
+      previous.endDate = endDate;
+    } else {
+      groupedPeriods.push({
+        startDate: boundaries[i],
+        endDate,
+        roomCount: rooms.length,
+        effectiveRooms,
+        rooms,
+        extents,
+        weights
+      });
+    }
+  }
+  
+  return groupedPeriods;
+}
+
+/**
+ * Work out how many rooms a span affects and the share of the property affected
+ * Only rooms are counted, each for the part of it affected. While a whole-property
+ * defect lasts, the rule decides what it adds; common parts never add anything.
+ * @param {Object} period - Span from buildGroupedPeriods (roomCount, effectiveRooms and propertyShare are set in place)
+ * @param {Object} context - elementTypes by name, totalRooms, roomWeights (or null) and wholePropertyRule
  */
-function formatDateForProcessing(dateStr) {
-  // Check if it's already in ISO format
-  if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-    return dateStr;
+function countAffectedRooms(period, context) {
+  const { elementTypes, totalRooms, roomWeights, wholePropertyRule } = context;
+  const rooms = period.rooms.filter(roomName => elementTypes[roomName] === 'room');
+  const wholeProperty = period.rooms.filter(roomName => elementTypes[roomName] === 'whole-property');
+  
+  // Each room's share of the property, by weight or floor area if given
+  const totalWeight = roomWeights
+    ? Object.values(roomWeights).reduce((sum, weight) => sum + weight, 0)
+    : totalRooms;
+  const shareOf = roomName => (roomWeights ? roomWeights[roomName] : 1) / totalWeight;
+  
+  // A partly affected room only counts for the part affected
+  let roomCount = rooms.length;
+  let effectiveRooms = rooms.reduce((sum, roomName) => sum + period.weights[roomName] * period.extents[roomName], 0);
+  let propertyShare = rooms.reduce((sum, roomName) => sum + shareOf(roomName) * period.extents[roomName], 0);
+  
+  if (wholeProperty.length > 0 && wholePropertyRule !== 'ignore') {
+    // The most widespread and most severe whole-property defect is the one that counts
+    const extent = Math.max(...wholeProperty.map(roomName => period.extents[roomName]));
+    const weight = Math.max(...wholeProperty.map(roomName => period.weights[roomName]));
+    
+    if (wholePropertyRule === 'all-rooms') {
+      // Every room is affected at least as much as the whole-property defect affects it
+      const unaffectedRooms = Math.max(totalRooms - rooms.length, 0);
+      const unaffectedShare = Math.max(1 - rooms.reduce((sum, roomName) => sum + shareOf(roomName), 0), 0);
+      
+      roomCount = rooms.length + unaffectedRooms;
+      effectiveRooms = rooms.reduce((sum, roomName) =>
+        sum + Math.max(period.weights[roomName] * period.extents[roomName], weight * extent), 0) +
+        unaffectedRooms * weight * extent;
+      propertyShare = rooms.reduce((sum, roomName) =>
+        sum + shareOf(roomName) * Math.max(period.extents[roomName], extent), 0) +
+        unaffectedShare * extent;
+    } else if (rooms.length < totalRooms) {
+      // Counted as one more room, of average size, up to the number of rooms in the property
+      roomCount += 1;
+      effectiveRooms += weight * extent;
+      propertyShare += extent / totalRooms;
+    }
   }
   
-  // Parse DD/MM/YYYY format
-  const parts = dateStr.split('/');
-  if (parts.length === 3) {
-    const day = parts[0].padStart(2, '0');
-    const month = parts[1].padStart(2, '0');
-    const year = parts[2];
-    return `${year}-${month}-${day}`;
+  period.roomCount = roomCount;
+  period.effectiveRooms = effectiveRooms;
+  period.propertyShare = propertyShare;
+}
+
+/**
+ * Read the element type of a period (periods without one are rooms)
+ * @param {Object} period - Period with an optional elementType
+ * @returns {string} One of ELEMENT_TYPES
+ */
+function getElementType(period) {
+  return period.elementType || 'room';
+}
+
+/**
+ * Check whether two lists contain the same room names, ignoring order
+ * @param {Array} roomsA - First list of room names
+ * @param {Array} roomsB - Second list of room names
+ * @returns {boolean} True if both lists hold the same rooms
+ */
+function haveSameRooms(roomsA, roomsB) {
+  if (roomsA.length !== roomsB.length) {
+    return false;
   }
   
-  // Return as is if can't parse
-  return dateStr;
+  const sortedB = [...roomsB].sort();
+  return [...roomsA].sort().every((roomName, i) => roomName === sortedB[i]);
+}
+
+/**
+ * Round an effective rooms figure for output
+ * @param {Number} effectiveRooms - Weighted number of rooms
+ * @param {string} rounding - Rounding mode (see ROUNDING_MODES)
+ * @returns {Number} Effective rooms rounded to 2 decimal places
+ */
+function roundEffectiveRooms(effectiveRooms, rounding = DEFAULT_ROUNDING_MODE) {
+  return roundTo(effectiveRooms, 2, rounding);
+}
+
+/**
+ * Expand grouped periods into one entry per day for the breakdown
+ * @param {Array} groupedPeriods - Spans with startDate, endDate, roomCount and rooms
+ * @returns {Array} Daily entries with date, roomCount and rooms
+ */
+function expandGroupedPeriods(groupedPeriods) {
+  const timeline = [];
+  
+  groupedPeriods.forEach(period => {
+    for (let day = period.startDate; day <= period.endDate; day++) {
+      timeline.push({
+        date: formatDateForOutput(day),
+        roomCount: period.roomCount,
+        rooms: period.rooms
+      });
+    }
+  });
+  
+  return timeline;
+}
+
+/**
+ * Check whether an end date marks a period as ongoing (not yet repaired)
+ * @param {*} endDate - End date from the request
+ * @returns {boolean} True if the end date is blank or "ongoing"
+ */
+function isOngoing(endDate) {
+  return isOngoingEndDate(endDate);
+}
+
+/**
+ * Format date from DD/MM/YYYY (UK format), or another declared format, to YYYY-MM-DD (ISO format)
+ * @param {string|Number} dateStr - Date to format (YYYY-MM-DD is always accepted)
+ * @param {string} dateFormat - "uk", "us", "iso" or "excel-serial" (defaults to "uk")
+ * @returns {string} Formatted date string in YYYY-MM-DD format
+ * @throws {Error} If the date is not in the declared format or does not exist (such as 31/02/2025)
+ */
+function formatDateForProcessing(dateStr, dateFormat = 'uk') {
+  const parsed = parseDate(dateStr, dateFormat);
+  
+  if (parsed.error) {
+    throw new Error(`Invalid date: ${parsed.error}`);
+  }
+  
+  return parsed.date;
+}
+
+/**
+ * Convert a date from the request to a calendar day number
+ * @param {string|Number} dateStr - Date (DD/MM/YYYY or YYYY-MM-DD, unless another format is given)
+ * @param {string} dateFormat - Format the date is in (see formatDateForProcessing)
+ * @returns {Number} Days since 1 January 1970, independent of time zone
+ */
+function parseDay(dateStr, dateFormat = 'uk') {
+  return toDayNumber(formatDateForProcessing(dateStr, dateFormat));
+}
+
+/**
+ * Format a calendar day number as YYYY-MM-DD (ISO format) for API responses
+ * @param {Number} day - Calendar day number
+ * @returns {string} Formatted date string in YYYY-MM-DD format
+ */
+function formatDateForOutput(day) {
+  return fromDayNumber(day);
 }
 
-module.exports = { calculateDisrepairOverlap };
\ No newline at end of file
+module.exports = {
+  calculateDisrepairOverlap,
+  analyseDisrepair,
+  formatDateForProcessing,
+  formatDateForOutput,
+  parseDay,
+  isOngoing,
+  DEFAULT_SEVERITY_WEIGHTS,
+  DEFAULT_REASONABLE_REPAIR_DAYS,
+  BUCKET_TYPES,
+  ELEMENT_TYPES,
+  WHOLE_PROPERTY_RULES
+};
\ No newline at end of file
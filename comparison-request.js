@@ -0,0 +1,128 @@
+// comparison-request.js
+const { processDisrepairRequest } = require('./disrepair-request');
+const { DEFAULT_ROUNDING_MODE, roundTo } = require('./rounding');
+
+// A comparison needs at least two schedules
+const MIN_SCENARIOS = 2;
+
+/**
+ * Process a compare-disrepair request body
+ * Each scenario is a named set of periods, such as the tenant's schedule and
+ * the landlord's. Every scenario is analysed exactly as calculate-disrepair
+ * would, using the settings in the body overridden by any in the scenario, and
+ * each band and room is then compared with the first scenario.
+ *
+ * @param {Object} body - Parsed JSON request body with a scenarios array and any shared settings
+ * @returns {Object} HTTP status code and JSON payload to send
+ */
+function processComparisonRequest(body) {
+  const { scenarios, ...shared } = body || {};
+
+  // Validate input
+  if (!Array.isArray(scenarios) || scenarios.length < MIN_SCENARIOS) {
+    return invalidInput(`scenarios must be an array of at least ${MIN_SCENARIOS} named sets of periods`);
+  }
+
+  const names = new Set();
+
+  for (let i = 0; i < scenarios.length; i++) {
+    const scenario = scenarios[i];
+
+    if (!scenario || typeof scenario !== 'object' || typeof scenario.name !== 'string' || !scenario.name.trim()) {
+      return invalidInput(`Scenario at index ${i} must have a name`);
+    }
+
+    if (names.has(scenario.name)) {
+      return invalidInput(`Scenario "${scenario.name}" is listed more than once`);
+    }
+
+    names.add(scenario.name);
+  }
+
+  // Analyse each scenario, reporting any problem against the scenario it is in
+  const analysed = [];
+
+  for (const { name, ...settings } of scenarios) {
+    // The day-by-day timeline is not needed to line the schedules up, so it is never built
+    const { statusCode, payload } = processDisrepairRequest({
+      ...shared,
+      ...settings,
+      include: ['rooms', 'breakdown']
+    }, { includeTimeline: false });
+
+    if (statusCode !== 200) {
+      return {
+        statusCode,
+        payload: { ...payload, error: `${payload.error} (scenario "${name}")` }
+      };
+    }
+
+    analysed.push({ name, ...payload });
+  }
+
+  const rounding = shared.rounding || DEFAULT_ROUNDING_MODE;
+  const payload = {
+    baseline: analysed[0].name,
+    scenarios: analysed,
+    bands: compareScenarios(analysed, scenario => scenario.results, 'roomCount', rounding)
+      .sort((a, b) => a.roomCount - b.roomCount),
+    rooms: compareScenarios(analysed, scenario => scenario.rooms, 'roomName', rounding)
+  };
+
+  // Whole-property elements and common parts are compared apart from the rooms
+  if (analysed.some(scenario => scenario.elements)) {
+    payload.elements = compareScenarios(analysed, scenario => scenario.elements || [], 'roomName', rounding);
+  }
+
+  if (analysed.some(scenario => scenario.hazards)) {
+    payload.hazards = compareScenarios(analysed, scenario => scenario.hazards || [], 'hazard', rounding);
+  }
+
+  return { statusCode: 200, payload };
+}
+
+/**
+ * Line up a set of figures from each scenario and compare them with the first scenario
+ * A band or room missing from a scenario counts as 0 days there.
+ * @param {Array} analysed - Analysed scenarios, the first being the baseline
+ * @param {Function} listFigures - Returns the figures (each with days) for a scenario
+ * @param {string} key - Field identifying the same figure in each scenario, such as "roomCount"
+ * @param {string} rounding - How weeks are rounded (see ROUNDING_MODES)
+ * @returns {Array} One entry per key, with the days, weeks and difference from the baseline in each scenario
+ */
+function compareScenarios(analysed, listFigures, key, rounding) {
+  // Keys in the order they are first seen, so rooms stay in input order
+  const keys = [...new Set(analysed.flatMap(scenario => listFigures(scenario).map(figures => figures[key])))];
+
+  return keys.map(value => {
+    const days = analysed.map(scenario => {
+      const figures = listFigures(scenario).find(entry => entry[key] === value);
+      return figures ? figures.days : 0;
+    });
+
+    return {
+      [key]: value,
+      scenarios: analysed.map((scenario, i) => ({
+        name: scenario.name,
+        days: days[i],
+        weeksInDisrepair: roundTo(days[i] / 7, 1, rounding),
+        differenceInDays: days[i] - days[0],
+        differenceInWeeks: roundTo((days[i] - days[0]) / 7, 1, rounding)
+      }))
+    };
+  });
+}
+
+/**
+ * Build a 400 response for invalid input
+ * @param {string} message - Description of the problem
+ * @returns {Object} HTTP status code and JSON payload to send
+ */
+function invalidInput(message) {
+  return {
+    statusCode: 400,
+    payload: { error: `Invalid input - ${message}` }
+  };
+}
+
+module.exports = { processComparisonRequest };
@@ -0,0 +1,336 @@
+// damages.js
+const { formatDateForOutput, parseDay } = require('./calculator');
+const { parseDate } = require('./public/js/date-parser');
+const { DEFAULT_ROUNDING_MODE, roundTo } = require('./rounding');
+
+/**
+ * Abatement policy used when the request does not supply one
+ * The rent reduction matches the percentage of the property affected
+ */
+const DEFAULT_ABATEMENT_POLICY = 'proportional';
+
+/**
+ * Calculate rent abatement damages from the overlap results
+ * Each affected span is charged at its own share of the property, just as with a
+ * rent schedule, so the damages match the principal interest is charged on. Damages
+ * are worked out from the exact days and share, and only the figures shown are
+ * rounded, so the total does not drift on long claims.
+ * @param {Array} results - Results from calculateDisrepairOverlap (roomCount, days, weeksInDisrepair, percentageOfProperty)
+ * @param {Array} affectedPeriods - Spans from the analysis (startDate, endDate, roomCount and the unrounded propertyShare)
+ * @param {Number} weeklyRent - Weekly rent for the property
+ * @param {string|Array} abatementPolicy - "proportional", or bands of { fromPercentage, abatementPercentage }
+ * @param {string} rounding - How money amounts are rounded (see ROUNDING_MODES)
+ * @returns {Object} Damages with a line per room-count band and a grand total
+ */
+function calculateDamages(results, affectedPeriods, weeklyRent, abatementPolicy = DEFAULT_ABATEMENT_POLICY,
+  rounding = DEFAULT_ROUNDING_MODE) {
+  const parts = splitGroupedPeriodsByRent(affectedPeriods, [{ effectiveFrom: -Infinity, weeklyRent }], abatementPolicy);
+
+  const lines = results.map(result => {
+    const bandParts = parts.filter(part => part.roomCount === result.roomCount);
+    const abatementPercentage = averageAbatementPercentage(bandParts);
+    const weeklyAbatement = weeklyRent * abatementPercentage / 100;
+
+    return {
+      roomCount: result.roomCount,
+      days: result.days,
+      weeksInDisrepair: result.weeksInDisrepair,
+      percentageOfProperty: result.percentageOfProperty,
+      abatementPercentage: roundTo(abatementPercentage, 1, rounding),
+      weeklyAbatement: roundCurrency(weeklyAbatement, rounding),
+      damages: roundCurrency(bandParts.reduce((sum, part) => sum + part.damages, 0), rounding)
+    };
+  });
+
+  return {
+    weeklyRent,
+    abatementPolicy,
+    lines,
+    total: roundCurrency(parts.reduce((sum, part) => sum + part.damages, 0), rounding)
+  };
+}
+
+/**
+ * Calculate rent abatement damages using the rent in force on each day
+ * Each grouped period is split wherever the rent changes, so every part is
+ * charged at the rent that applied to it.
+ * @param {Array} results - Results from calculateDisrepairOverlap (roomCount, weeksInDisrepair, percentageOfProperty)
+ * @param {Array} affectedPeriods - Spans from the analysis (startDate, endDate, roomCount and the unrounded propertyShare)
+ * @param {Array} rentSchedule - Rent periods, each with effectiveFrom and weeklyRent
+ * @param {string|Array} abatementPolicy - "proportional", or bands of { fromPercentage, abatementPercentage }
+ * @param {string} rounding - How weeks and money amounts are rounded (see ROUNDING_MODES)
+ * @returns {Object} Damages with the split periods, a line per room-count band and a grand total
+ */
+function calculateScheduledDamages(results, affectedPeriods, rentSchedule, abatementPolicy = DEFAULT_ABATEMENT_POLICY,
+  rounding = DEFAULT_ROUNDING_MODE) {
+  const rents = normaliseRentSchedule(rentSchedule);
+
+  // Damages are added up unrounded and only rounded for output
+  const parts = splitGroupedPeriodsByRent(affectedPeriods, rents, abatementPolicy);
+
+  const periods = parts.map(part => ({
+    startDate: formatDateForOutput(part.startDate),
+    endDate: formatDateForOutput(part.endDate),
+    roomCount: part.roomCount,
+    percentageOfProperty: roundTo(part.propertyShare * 100, 1, rounding),
+    weeklyRent: part.weeklyRent,
+    days: part.days,
+    weeks: roundTo(part.days / 7, 1, rounding),
+    abatementPercentage: roundTo(part.abatementPercentage, 1, rounding),
+    weeklyAbatement: roundCurrency(part.weeklyAbatement, rounding),
+    damages: roundCurrency(part.damages, rounding)
+  }));
+
+  // Total the split periods by room count, then by rent within each band
+  const lines = results.map(result => {
+    const bandParts = parts.filter(part => part.roomCount === result.roomCount);
+    const rentTotals = new Map();
+
+    bandParts.forEach(part => {
+      const totals = rentTotals.get(part.weeklyRent) || { days: 0, damages: 0 };
+      totals.days += part.days;
+      totals.damages += part.damages;
+      rentTotals.set(part.weeklyRent, totals);
+    });
+
+    return {
+      roomCount: result.roomCount,
+      days: result.days,
+      weeksInDisrepair: result.weeksInDisrepair,
+      percentageOfProperty: result.percentageOfProperty,
+      abatementPercentage: roundTo(averageAbatementPercentage(bandParts), 1, rounding),
+      rents: [...rentTotals.entries()].map(([weeklyRent, totals]) => ({
+        weeklyRent,
+        days: totals.days,
+        weeksInDisrepair: roundTo(totals.days / 7, 1, rounding),
+        damages: roundCurrency(totals.damages, rounding)
+      })),
+      damages: roundCurrency(bandParts.reduce((sum, part) => sum + part.damages, 0), rounding)
+    };
+  });
+
+  return {
+    rentSchedule: rents.map(rent => ({
+      effectiveFrom: formatDateForOutput(rent.effectiveFrom),
+      weeklyRent: rent.weeklyRent
+    })),
+    abatementPolicy,
+    periods,
+    lines,
+    total: roundCurrency(parts.reduce((sum, part) => sum + part.damages, 0), rounding)
+  };
+}
+
+/**
+ * Work out the unrounded damages for each grouped period, split wherever the rent changes
+ * Used to calculate interest period by period.
+ * @param {Array} affectedPeriods - Spans from the analysis (startDate, endDate, roomCount and the unrounded propertyShare)
+ * @param {Array} rentSchedule - Rent periods, each with effectiveFrom and weeklyRent
+ * @param {string|Array} abatementPolicy - "proportional", or bands of { fromPercentage, abatementPercentage }
+ * @returns {Array} Periods with startDate and endDate in YYYY-MM-DD format and their damages
+ */
+function calculatePeriodDamages(affectedPeriods, rentSchedule, abatementPolicy = DEFAULT_ABATEMENT_POLICY) {
+  return splitGroupedPeriodsByRent(affectedPeriods, normaliseRentSchedule(rentSchedule), abatementPolicy)
+    .map(part => ({
+      startDate: formatDateForOutput(part.startDate),
+      endDate: formatDateForOutput(part.endDate),
+      damages: part.damages
+    }));
+}
+
+/**
+ * Split each affected span wherever the rent changes and charge each part at its rent
+ * @param {Array} affectedPeriods - Spans from the analysis (startDate, endDate, roomCount and the unrounded propertyShare)
+ * @param {Array} rents - Rent periods from normaliseRentSchedule
+ * @param {string|Array} abatementPolicy - "proportional", or bands of { fromPercentage, abatementPercentage }
+ * @returns {Array} Parts with day-number dates, the rent and abatement applied and their unrounded damages
+ */
+function splitGroupedPeriodsByRent(affectedPeriods, rents, abatementPolicy) {
+  const parts = [];
+
+  affectedPeriods.forEach(group => {
+    // Use the group's own share of the property, which can vary within a band when rooms are weighted
+    const { propertyShare } = group;
+    const abatementPercentage = getAbatementPercentage(propertyShare * 100, abatementPolicy);
+    const groupEnd = parseDay(group.endDate);
+    let start = parseDay(group.startDate);
+
+    // Walk through the rent periods that overlap this group
+    rents.forEach((rent, i) => {
+      const nextRentStart = i < rents.length - 1 ? rents[i + 1].effectiveFrom : Infinity;
+      const end = Math.min(groupEnd, nextRentStart - 1);
+
+      if (start > groupEnd || end < start || nextRentStart <= start) {
+        return;
+      }
+
+      const days = end - start + 1;
+      const weeklyAbatement = rent.weeklyRent * abatementPercentage / 100;
+
+      parts.push({
+        startDate: start,
+        endDate: end,
+        roomCount: group.roomCount,
+        propertyShare,
+        weeklyRent: rent.weeklyRent,
+        days,
+        abatementPercentage,
+        weeklyAbatement,
+        damages: weeklyAbatement * days / 7
+      });
+
+      start = end + 1;
+    });
+  });
+
+  return parts;
+}
+
+/**
+ * Average the rent reduction across some split parts, weighted by their days
+ * The reduction can vary within a room-count band when rooms are weighted. A band
+ * with no days (one only reached in the best or worst case of disputed dates) abates nothing.
+ * @param {Array} parts - Parts from splitGroupedPeriodsByRent
+ * @returns {Number} Percentage of the rent abated
+ */
+function averageAbatementPercentage(parts) {
+  const days = parts.reduce((sum, part) => sum + part.days, 0);
+
+  if (days === 0) {
+    return 0;
+  }
+
+  return parts.reduce((sum, part) => sum + part.abatementPercentage * part.days, 0) / days;
+}
+
+/**
+ * Convert a rent schedule to calendar day numbers sorted by effective date
+ * @param {Array} rentSchedule - Rent periods, each with effectiveFrom and weeklyRent
+ * @returns {Array} Rent periods with effectiveFrom as a day number, earliest first
+ */
+function normaliseRentSchedule(rentSchedule) {
+  return rentSchedule
+    .map(rent => ({
+      effectiveFrom: parseDay(rent.effectiveFrom),
+      weeklyRent: rent.weeklyRent
+    }))
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+}
+
+/**
+ * Look up the rent reduction for a percentage of property affected
+ * @param {Number} percentageOfProperty - Percentage of the property in disrepair
+ * @param {string|Array} abatementPolicy - "proportional", or bands of { fromPercentage, abatementPercentage }
+ * @returns {Number} Percentage of the rent to abate
+ */
+function getAbatementPercentage(percentageOfProperty, abatementPolicy) {
+  if (abatementPolicy === 'proportional') {
+    return Math.min(percentageOfProperty, 100);
+  }
+
+  // Use the highest band the percentage has reached
+  let abatementPercentage = 0;
+  let highestBandReached = -Infinity;
+
+  abatementPolicy.forEach(band => {
+    if (percentageOfProperty >= band.fromPercentage && band.fromPercentage > highestBandReached) {
+      highestBandReached = band.fromPercentage;
+      abatementPercentage = band.abatementPercentage;
+    }
+  });
+
+  return abatementPercentage;
+}
+
+/**
+ * Check a weekly rent and abatement policy from a request
+ * @param {*} weeklyRent - Weekly rent from the request
+ * @param {*} abatementPolicy - Abatement policy from the request (optional)
+ * @returns {string|null} Error message, or null if both are valid
+ */
+function validateDamagesInput(weeklyRent, abatementPolicy) {
+  if (typeof weeklyRent !== 'number' || !isFinite(weeklyRent) || weeklyRent <= 0) {
+    return 'weeklyRent must be a positive number';
+  }
+
+  if (abatementPolicy === undefined || abatementPolicy === 'proportional') {
+    return null;
+  }
+
+  if (!Array.isArray(abatementPolicy) || abatementPolicy.length === 0) {
+    return 'abatementPolicy must be "proportional" or a non-empty array of bands';
+  }
+
+  for (let i = 0; i < abatementPolicy.length; i++) {
+    const band = abatementPolicy[i];
+
+    if (!band || !isPercentage(band.fromPercentage) || !isPercentage(band.abatementPercentage)) {
+      return `abatementPolicy band at index ${i} must have fromPercentage and abatementPercentage between 0 and 100`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a rent schedule from a request
+ * @param {*} rentSchedule - Rent schedule from the request
+ * @param {*} abatementPolicy - Abatement policy from the request (optional)
+ * @param {string} firstAffectedDate - First day of disrepair in YYYY-MM-DD format, if known
+ * @returns {string|null} Error message, or null if the schedule is valid
+ */
+function validateRentSchedule(rentSchedule, abatementPolicy, firstAffectedDate = null) {
+  if (!Array.isArray(rentSchedule) || rentSchedule.length === 0) {
+    return 'rentSchedule must be a non-empty array';
+  }
+
+  for (let i = 0; i < rentSchedule.length; i++) {
+    const rent = rentSchedule[i];
+
+    if (!rent || parseDate(rent.effectiveFrom).error) {
+      return `rentSchedule entry at index ${i} must have a valid effectiveFrom date`;
+    }
+
+    const rentError = validateDamagesInput(rent.weeklyRent, abatementPolicy);
+    if (rentError) {
+      return `rentSchedule entry at index ${i}: ${rentError}`;
+    }
+  }
+
+  // Every day of disrepair needs a rent, so the schedule must start in time
+  if (firstAffectedDate) {
+    const firstRent = normaliseRentSchedule(rentSchedule)[0].effectiveFrom;
+    if (firstRent > parseDay(firstAffectedDate)) {
+      return `rentSchedule must start on or before the first day of disrepair (${firstAffectedDate})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is a number from 0 to 100
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isPercentage(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+/**
+ * Round a money amount to pence
+ * @param {Number} amount - Amount to round
+ * @param {string} rounding - Rounding mode (see ROUNDING_MODES)
+ * @returns {Number} Amount rounded to 2 decimal places
+ */
+function roundCurrency(amount, rounding = DEFAULT_ROUNDING_MODE) {
+  return roundTo(amount, 2, rounding);
+}
+
+module.exports = {
+  calculateDamages,
+  calculateScheduledDamages,
+  calculatePeriodDamages,
+  validateDamagesInput,
+  validateRentSchedule
+};
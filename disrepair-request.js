@@ -0,0 +1,887 @@
+// disrepair-request.js
+const {
+  analyseDisrepair,
+  formatDateForProcessing,
+  parseDay,
+  DEFAULT_SEVERITY_WEIGHTS,
+  DEFAULT_REASONABLE_REPAIR_DAYS,
+  BUCKET_TYPES,
+  ELEMENT_TYPES,
+  WHOLE_PROPERTY_RULES
+} = require('./calculator');
+const {
+  calculateDamages,
+  calculateScheduledDamages,
+  calculatePeriodDamages,
+  validateDamagesInput,
+  validateRentSchedule
+} = require('./damages');
+const { calculateInterest, findFirstInterestDate, validateInterestInput } = require('./interest');
+const { calculateAwaabsLawDeadlines, AWAABS_LAW_DEFECT_TYPES } = require('./awaabs-law');
+const {
+  DATE_FORMATS,
+  DISPUTED_DATE_FIELDS,
+  HAZARD_DATE_FIELDS,
+  parseDate,
+  resolveDateFormat,
+  validatePeriodDates,
+  isOngoingEndDate,
+  fromDayNumber,
+  todayInUk
+} = require('./public/js/date-parser');
+const { HAZARD_IDS, HAZARD_BANDS } = require('./public/js/hhsrs');
+const { ROUNDING_MODES, DURATION_UNITS } = require('./rounding');
+
+// Optional sections a client can ask to have added to the response
+const INCLUDE_OPTIONS = ['merges', 'rooms', 'breakdown'];
+
+/**
+ * Process a calculate-disrepair request body
+ * Shared by the Vercel function and the Express app so both validate and
+ * respond in exactly the same way
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {Object} options - Settings for callers within the API, not taken from the request
+ * @param {boolean} options.includeTimeline - Whether a requested breakdown includes the day-by-day timeline (defaults to true)
+ * @returns {Object} HTTP status code and JSON payload to send
+ */
+function processDisrepairRequest(body, options = {}) {
+  // Get disrepair periods and total rooms from request body
+  const {
+    periods,
+    totalRooms,
+    rooms,
+    include,
+    weeklyRent,
+    rentSchedule,
+    abatementPolicy,
+    interest,
+    severityWeights,
+    repairAllowances,
+    asOfDate,
+    claimIssueDate,
+    limitationYears,
+    exclusions,
+    bucket,
+    tenancyStartDate,
+    tenancyEndDate,
+    occupiers,
+    wholePropertyRule,
+    socialHousing,
+    units,
+    rounding,
+    dateFormat = 'uk'
+  } = body || {};
+
+  // Validate input
+  if (!periods || !Array.isArray(periods) || periods.length === 0) {
+    return invalidInput('Disrepair periods required');
+  }
+
+  // Validate each period has the required properties (a blank, missing or "ongoing" endDate is allowed)
+  for (const period of periods) {
+    if (!period.roomName || !period.startDate) {
+      return invalidInput('Each period must have roomName and startDate, and an endDate unless the disrepair is ongoing');
+    }
+  }
+
+  // Work out which format the dates are in, detecting it from all of them for "auto"
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return invalidInput(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+
+  const resolvedFormat = resolveDateFormat(collectRequestDates(body), dateFormat);
+  if (resolvedFormat.error) {
+    return {
+      statusCode: 422,
+      payload: { error: `Invalid dates - ${resolvedFormat.error}` }
+    };
+  }
+
+  const isValidRequestDate = value => !parseDate(value, resolvedFormat.dateFormat).error;
+
+  // Validate the date that ongoing periods run up to
+  if (asOfDate !== undefined && !isValidRequestDate(asOfDate)) {
+    return invalidInput('asOfDate must be a valid date');
+  }
+
+  // Check every period's dates, reporting each problem against its period and field
+  const dateErrors = validatePeriodDates(
+    periods,
+    resolvedFormat.dateFormat,
+    asOfDate !== undefined ? parseDate(asOfDate, resolvedFormat.dateFormat).date : todayInUk()
+  );
+  if (dateErrors.length > 0) {
+    return invalidDates(dateErrors);
+  }
+
+  // Validate the limitation window
+  if (claimIssueDate !== undefined && !isValidRequestDate(claimIssueDate)) {
+    return invalidInput('claimIssueDate must be a valid date');
+  }
+
+  if (limitationYears !== undefined &&
+      (claimIssueDate === undefined || !Number.isInteger(limitationYears) || limitationYears <= 0)) {
+    return invalidInput('limitationYears must be a positive whole number and requires claimIssueDate');
+  }
+
+  // Validate how the results should be split into buckets
+  if (bucket !== undefined && !BUCKET_TYPES.includes(bucket)) {
+    return invalidInput(`bucket must be one of: ${BUCKET_TYPES.join(', ')}`);
+  }
+
+  // Validate the tenancy, outside which days are not counted
+  const tenancyError = validateTenancy({ tenancyStartDate, tenancyEndDate }, '', isValidRequestDate, resolvedFormat.dateFormat);
+  if (tenancyError) {
+    return invalidInput(tenancyError);
+  }
+
+  // Validate the occupiers, whose shares are each worked out over their own tenancy
+  if (occupiers !== undefined) {
+    if (!Array.isArray(occupiers) || occupiers.length === 0) {
+      return invalidInput('occupiers must be a non-empty array');
+    }
+
+    if (tenancyStartDate !== undefined || tenancyEndDate !== undefined) {
+      return invalidInput('Give the tenancy dates for each occupier, not tenancyStartDate or tenancyEndDate as well');
+    }
+
+    const names = new Set();
+
+    for (let i = 0; i < occupiers.length; i++) {
+      const occupier = occupiers[i];
+
+      if (!isPlainObject(occupier) || typeof occupier.name !== 'string' || !occupier.name.trim()) {
+        return invalidInput(`Occupier at index ${i} must have a name`);
+      }
+
+      if (names.has(occupier.name)) {
+        return invalidInput(`Occupier "${occupier.name}" is listed more than once`);
+      }
+
+      names.add(occupier.name);
+
+      if (occupier.tenancyStartDate === undefined) {
+        return invalidInput(`Occupier "${occupier.name}" must have a tenancyStartDate`);
+      }
+
+      const occupierError = validateTenancy(occupier, `Occupier "${occupier.name}": `, isValidRequestDate, resolvedFormat.dateFormat);
+      if (occupierError) {
+        return invalidInput(occupierError);
+      }
+    }
+  }
+
+  if (bucket === 'tenancy-year' && tenancyStartDate === undefined && occupiers === undefined) {
+    return invalidInput('bucket "tenancy-year" requires tenancyStartDate or occupiers');
+  }
+
+  // Validate the exclusion windows (refused access, tenant-caused delay and so on)
+  if (exclusions !== undefined) {
+    if (!Array.isArray(exclusions)) {
+      return invalidInput('exclusions must be an array');
+    }
+
+    for (let i = 0; i < exclusions.length; i++) {
+      const exclusion = exclusions[i];
+
+      if (!exclusion || !isValidRequestDate(exclusion.startDate) || !isValidRequestDate(exclusion.endDate)) {
+        return invalidInput(`Exclusion at index ${i} must have a valid startDate and endDate`);
+      }
+
+      if (parseDay(exclusion.endDate, resolvedFormat.dateFormat) < parseDay(exclusion.startDate, resolvedFormat.dateFormat)) {
+        return invalidInput(`Exclusion at index ${i} ends before it starts`);
+      }
+
+      if (exclusion.roomName !== undefined && (typeof exclusion.roomName !== 'string' || !exclusion.roomName)) {
+        return invalidInput(`Exclusion at index ${i} has an invalid roomName; leave it out to exclude the whole property`);
+      }
+    }
+  }
+
+  // Validate severity weights and the severity of each period
+  if (severityWeights !== undefined) {
+    if (!severityWeights || typeof severityWeights !== 'object' || Array.isArray(severityWeights) ||
+        Object.values(severityWeights).some(weight => typeof weight !== 'number' || weight < 0 || weight > 1)) {
+      return invalidInput('severityWeights must be an object mapping severity levels to weights between 0 and 1');
+    }
+  }
+
+  const severityLevels = Object.keys({ ...DEFAULT_SEVERITY_WEIGHTS, ...severityWeights });
+
+  for (let i = 0; i < periods.length; i++) {
+    const { severity } = periods[i];
+    if (severity !== undefined && severity !== '' && !severityLevels.includes(severity)) {
+      return invalidInput(`Period at index ${i} has an unknown severity "${severity}". Use one of: ${severityLevels.join(', ')}`);
+    }
+  }
+
+  // Validate the extent (fraction of the room affected) of each period
+  for (let i = 0; i < periods.length; i++) {
+    const { extent } = periods[i];
+    if (extent !== undefined && (typeof extent !== 'number' || !(extent > 0 && extent <= 1))) {
+      return invalidInput(`Period at index ${i}: extent must be a number greater than 0 and no more than 1`);
+    }
+  }
+
+  // Validate what each period is for, which must be the same wherever a name appears
+  const elementTypes = {};
+
+  for (let i = 0; i < periods.length; i++) {
+    const { roomName, elementType = '' } = periods[i];
+
+    if (elementType !== '' && !ELEMENT_TYPES.includes(elementType)) {
+      return invalidInput(`Period at index ${i} has an unknown elementType "${elementType}". Use one of: ${ELEMENT_TYPES.join(', ')}`);
+    }
+
+    const type = elementType || 'room';
+
+    if (elementTypes[roomName] !== undefined && elementTypes[roomName] !== type) {
+      return invalidInput(`Period at index ${i} gives "${roomName}" as a ${type}, but an earlier period gives it as a ${elementTypes[roomName]}`);
+    }
+
+    elementTypes[roomName] = type;
+  }
+
+  // Validate any HHSRS hazard and band given for each period
+  for (let i = 0; i < periods.length; i++) {
+    const { hazard = '', hazardBand = '' } = periods[i];
+
+    if (hazard !== '' && !HAZARD_IDS.includes(hazard)) {
+      return invalidInput(`Period at index ${i} has an unknown hazard "${hazard}". Use one of: ${HAZARD_IDS.join(', ')}`);
+    }
+
+    if (hazardBand !== '' && (hazard === '' || !HAZARD_BANDS.includes(hazardBand))) {
+      return invalidInput(`Period at index ${i}: hazardBand must be one of ${HAZARD_BANDS.join(', ')} and requires hazard`);
+    }
+  }
+
+  if (wholePropertyRule !== undefined && !WHOLE_PROPERTY_RULES.includes(wholePropertyRule)) {
+    return invalidInput(`wholePropertyRule must be one of: ${WHOLE_PROPERTY_RULES.join(', ')}`);
+  }
+
+  // Validate the notice details and repair allowances
+  if (repairAllowances !== undefined) {
+    if (!repairAllowances || typeof repairAllowances !== 'object' || Array.isArray(repairAllowances) ||
+        Object.values(repairAllowances).some(days => !isRepairDays(days))) {
+      return invalidInput('repairAllowances must be an object mapping defect types to a whole number of days');
+    }
+  }
+
+  const defectTypes = Object.keys({ ...DEFAULT_REASONABLE_REPAIR_DAYS, ...repairAllowances });
+
+  for (let i = 0; i < periods.length; i++) {
+    const { reportedDate, reasonableRepairDays, defectType } = periods[i];
+
+    if (reasonableRepairDays !== undefined && (reportedDate === undefined || !isRepairDays(reasonableRepairDays))) {
+      return invalidInput(`Period at index ${i}: reasonableRepairDays must be a whole number of days and requires reportedDate`);
+    }
+
+    // A blank defectType (as a CSV export gives for rows without one) counts as not given
+    if (defectType !== undefined && defectType !== '' && !defectTypes.includes(defectType)) {
+      return invalidInput(`Period at index ${i} has an unknown defectType "${defectType}". Use one of: ${defectTypes.join(', ')}`);
+    }
+  }
+
+  // Validate the social housing details used for the Awaab's Law deadlines
+  if (socialHousing !== undefined && typeof socialHousing !== 'boolean') {
+    return invalidInput('socialHousing must be true or false');
+  }
+
+  for (let i = 0; i < periods.length; i++) {
+    const { reportedDate, defectType, emergency } = periods[i];
+    const hazardDates = HAZARD_DATE_FIELDS.filter(field => periods[i][field] !== undefined && periods[i][field] !== '');
+
+    if (emergency !== undefined && typeof emergency !== 'boolean') {
+      return invalidInput(`Period at index ${i}: emergency must be true or false`);
+    }
+
+    if (hazardDates.length === 0 && !emergency) {
+      continue;
+    }
+
+    if (!socialHousing) {
+      return invalidInput(`Period at index ${i}: investigatedDate, repairedDate and emergency are only used for the Awaab's Law deadlines, so require socialHousing`);
+    }
+
+    if (!AWAABS_LAW_DEFECT_TYPES.includes(defectType) || reportedDate === undefined || reportedDate === '') {
+      return invalidInput(`Period at index ${i}: Awaab's Law deadlines need a reportedDate and a defectType of ${AWAABS_LAW_DEFECT_TYPES.join(' or ')}`);
+    }
+  }
+
+  // Validate any optional response sections
+  if (include !== undefined) {
+    if (!Array.isArray(include) || include.some(option => !INCLUDE_OPTIONS.includes(option))) {
+      return invalidInput(`include must be an array containing any of: ${INCLUDE_OPTIONS.join(', ')}`);
+    }
+  }
+
+  // Validate how durations are expressed and figures rounded
+  if (units !== undefined && !DURATION_UNITS.includes(units)) {
+    return invalidInput(`units must be one of: ${DURATION_UNITS.join(', ')}`);
+  }
+
+  if (rounding !== undefined && !ROUNDING_MODES.includes(rounding)) {
+    return invalidInput(`rounding must be one of: ${ROUNDING_MODES.join(', ')}`);
+  }
+
+  // Validate the rent details if damages have been requested
+  if (weeklyRent !== undefined && rentSchedule !== undefined) {
+    return invalidInput('Provide either weeklyRent or rentSchedule, not both');
+  }
+
+  if (weeklyRent !== undefined) {
+    const damagesError = validateDamagesInput(weeklyRent, abatementPolicy);
+    if (damagesError) {
+      return invalidInput(damagesError);
+    }
+  }
+
+  // For totalRooms: if explicitly provided, use it; otherwise calculate from unique rooms
+  let effectiveTotalRooms = null;
+  let roomWeights = null;
+
+  // If rooms array is provided, use it as the property model
+  if (rooms && Array.isArray(rooms)) {
+    const roomModel = buildRoomWeights(rooms, periods, elementTypes);
+    if (roomModel.error) {
+      return invalidInput(roomModel.error);
+    }
+
+    // Whole-property elements and common parts listed in rooms are not counted as rooms
+    effectiveTotalRooms = rooms.filter(room => {
+      const name = room && typeof room === 'object' ? room.roomName : room;
+      return elementTypes[name] === undefined || elementTypes[name] === 'room';
+    }).length;
+    roomWeights = roomModel.roomWeights;
+
+    if (effectiveTotalRooms === 0) {
+      return invalidInput('rooms must list at least one room');
+    }
+  }
+  // If totalRooms is provided and valid, use it
+  else if (totalRooms && !isNaN(totalRooms) && totalRooms > 0) {
+    effectiveTotalRooms = parseInt(totalRooms, 10);
+  }
+  // Otherwise, calculate from unique room names in periods (whole-property elements and common parts are not rooms)
+  else {
+    const uniqueRooms = new Set();
+    periods.forEach(period => {
+      if (period.roomName && elementTypes[period.roomName] === 'room') {
+        uniqueRooms.add(period.roomName);
+      }
+    });
+    effectiveTotalRooms = uniqueRooms.size;
+
+    if (effectiveTotalRooms === 0) {
+      return invalidInput('totalRooms or rooms is required when no period is for a room');
+    }
+
+    console.log(`No totalRooms provided, using count of unique rooms: ${effectiveTotalRooms}`);
+  }
+
+  // From here on every date is in YYYY-MM-DD format
+  const dated = normaliseRequestDates(
+    { periods, asOfDate, claimIssueDate, tenancyStartDate, tenancyEndDate, occupiers, exclusions, rentSchedule, interest },
+    resolvedFormat.dateFormat
+  );
+
+  // Interest is charged on the damages, so needs a rent to work them out from
+  if (interest !== undefined) {
+    if (weeklyRent === undefined && rentSchedule === undefined) {
+      return invalidInput('interest requires weeklyRent or rentSchedule');
+    }
+
+    const interestError = validateInterestInput(dated.interest);
+    if (interestError) {
+      return invalidInput(interestError);
+    }
+  }
+
+  // Calculate overlapping periods with the determined totalRooms
+  const analysisOptions = {
+    includeTimeline: Array.isArray(include) && include.includes('breakdown') && options.includeTimeline !== false,
+    severityWeights,
+    roomWeights,
+    repairAllowances,
+    asOfDate: dated.asOfDate,
+    claimIssueDate: dated.claimIssueDate,
+    limitationYears,
+    exclusions: dated.exclusions,
+    bucket,
+    tenancyStartDate: dated.tenancyStartDate,
+    tenancyEndDate: dated.tenancyEndDate,
+    wholePropertyRule,
+    units,
+    rounding
+  };
+
+  // With several occupiers, the whole claim only covers days within one of their tenancies,
+  // and tenancy years are only split out for each occupier
+  const occupancy = occupiers !== undefined ? combineTenancies(dated.occupiers) : null;
+  const analysis = analyseDisrepair(dated.periods, effectiveTotalRooms, {
+    ...analysisOptions,
+    ...(occupancy && {
+      tenancyStartDate: occupancy.tenancyStartDate,
+      tenancyEndDate: occupancy.tenancyEndDate,
+      exclusions: [...(dated.exclusions || []), ...occupancy.gaps]
+    }),
+    bucket: occupiers !== undefined && bucket === 'tenancy-year' ? null : bucket
+  });
+
+  const sections = include || [];
+  const payload = { results: analysis.results };
+
+  if (sections.includes('merges')) {
+    payload.merges = analysis.merges;
+  }
+
+  if (sections.includes('rooms')) {
+    payload.rooms = analysis.rooms;
+  }
+
+  // Whole-property elements and common parts are always listed, as they are not in the rooms
+  if (analysis.elements) {
+    payload.elements = analysis.elements;
+  }
+
+  // Weeks for each HHSRS hazard are listed whenever a period is tagged with one
+  if (analysis.hazards) {
+    payload.hazards = analysis.hazards;
+  }
+
+  if (sections.includes('breakdown')) {
+    payload.breakdown = analysis.breakdown;
+  }
+
+  // Say which periods were open-ended and the date they were counted up to
+  if (analysis.openEndedPeriods.length > 0) {
+    payload.asOfDate = analysis.asOfDate;
+    payload.openEndedPeriods = analysis.openEndedPeriods;
+  }
+
+  // Show the original and liable dates of each reported period
+  if (analysis.liability) {
+    payload.liability = analysis.liability;
+  }
+
+  // Report what falling outside the tenancy excluded
+  if (analysis.tenancy) {
+    payload.tenancy = analysis.tenancy;
+  }
+
+  // Report what the limitation window excluded
+  if (analysis.limitation) {
+    payload.limitation = analysis.limitation;
+  }
+
+  // Split the room-count bands by month, year or tenancy year
+  if (analysis.buckets) {
+    payload.buckets = analysis.buckets;
+  }
+
+  // A rent schedule must cover every affected day
+  if (rentSchedule !== undefined) {
+    const firstAffected = analysis.affectedPeriods[0];
+    const scheduleError = validateRentSchedule(dated.rentSchedule, abatementPolicy, firstAffected?.startDate);
+
+    if (scheduleError) {
+      return invalidInput(scheduleError);
+    }
+  }
+
+  // Rent abatement is built on top of the overlap results
+  const rent = { weeklyRent, rentSchedule: dated.rentSchedule, abatementPolicy, rounding };
+  const damages = calculateRequestDamages(analysis, rent);
+
+  if (damages) {
+    payload.damages = damages;
+  }
+
+  // Work out each occupier's share over their own tenancy (each tenancy lies within the
+  // combined tenancies, so within the affected dates already checked against any rent schedule)
+  if (occupiers !== undefined) {
+    payload.occupiers = dated.occupiers.map(occupier => {
+      const occupierAnalysis = analyseDisrepair(dated.periods, effectiveTotalRooms, {
+        ...analysisOptions,
+        includeTimeline: false,
+        tenancyStartDate: occupier.tenancyStartDate,
+        tenancyEndDate: occupier.tenancyEndDate
+      });
+      const occupierDamages = calculateRequestDamages(occupierAnalysis, rent);
+
+      return {
+        name: occupier.name,
+        tenancyStartDate: occupierAnalysis.tenancy.tenancyStartDate,
+        tenancyEndDate: occupierAnalysis.tenancy.tenancyEndDate,
+        results: occupierAnalysis.results,
+        ...(occupierAnalysis.buckets && { buckets: occupierAnalysis.buckets }),
+        ...(occupierDamages && { damages: occupierDamages })
+      };
+    });
+  }
+
+  // Statutory deadlines for investigating and repairing reported damp and mould in social housing
+  if (socialHousing) {
+    payload.awaabsLaw = calculateAwaabsLawDeadlines(dated.periods, analysis.asOfDate);
+  }
+
+  // Simple interest on the damages for each grouped period, up to the calculation date
+  if (interest !== undefined) {
+    const { affectedPeriods } = analysis;
+    const schedule = rentSchedule !== undefined
+      ? dated.rentSchedule
+      : [{ effectiveFrom: affectedPeriods[0]?.startDate, weeklyRent }];
+    const damagePeriods = affectedPeriods.length > 0
+      ? calculatePeriodDamages(affectedPeriods, schedule, abatementPolicy)
+      : [];
+    const interestSettings = {
+      ...dated.interest,
+      calculationDate: dated.interest.calculationDate || todayInUk()
+    };
+
+    // A rate schedule must cover every day interest runs
+    const firstInterestDate = damagePeriods.length > 0 ? findFirstInterestDate(damagePeriods, interestSettings) : null;
+    const coverageError = validateInterestInput(interestSettings, firstInterestDate);
+    if (coverageError) {
+      return invalidInput(coverageError);
+    }
+
+    payload.interest = calculateInterest(damagePeriods, interestSettings, rounding);
+  }
+
+  // Say which date format was detected, and warn if some dates could have been read either way
+  if (resolvedFormat.detected) {
+    payload.dateFormat = resolvedFormat.dateFormat;
+  }
+
+  if (resolvedFormat.warning) {
+    payload.warnings = [resolvedFormat.warning];
+  }
+
+  // Without any optional sections, keep the original array response
+  if (Object.keys(payload).length === 1) {
+    return { statusCode: 200, payload: analysis.results };
+  }
+
+  return { statusCode: 200, payload };
+}
+
+/**
+ * Work out the rent abatement damages for an analysis
+ * @param {Object} analysis - Analysis from analyseDisrepair
+ * @param {Object} rent - weeklyRent or rentSchedule (with dates in YYYY-MM-DD format), abatementPolicy and rounding
+ * @returns {Object|null} Damages, or null if no rent was given
+ */
+function calculateRequestDamages(analysis, rent) {
+  const { weeklyRent, rentSchedule, abatementPolicy, rounding } = rent;
+
+  if (weeklyRent !== undefined) {
+    return calculateDamages(analysis.results, analysis.affectedPeriods, weeklyRent, abatementPolicy, rounding);
+  }
+
+  // With a rent schedule, each grouped period is charged at the rent in force
+  if (rentSchedule !== undefined) {
+    return calculateScheduledDamages(
+      analysis.results,
+      analysis.affectedPeriods,
+      rentSchedule,
+      abatementPolicy,
+      rounding
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Combine the occupiers' tenancies into the span the whole claim covers
+ * @param {Array} occupiers - Occupiers with tenancyStartDate and an optional tenancyEndDate in YYYY-MM-DD format
+ * @returns {Object} The earliest tenancyStartDate, the latest tenancyEndDate (null if any tenancy is
+ *   still running) and the gaps between tenancies as whole-property exclusion windows
+ */
+function combineTenancies(occupiers) {
+  const tenancies = occupiers
+    .map(occupier => ({
+      start: parseDay(occupier.tenancyStartDate),
+      end: occupier.tenancyEndDate ? parseDay(occupier.tenancyEndDate) : Infinity
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const gaps = [];
+  let coveredTo = tenancies[0].end;
+
+  tenancies.slice(1).forEach(tenancy => {
+    if (tenancy.start > coveredTo + 1) {
+      gaps.push({
+        startDate: fromDayNumber(coveredTo + 1),
+        endDate: fromDayNumber(tenancy.start - 1),
+        reason: 'between tenancies'
+      });
+    }
+
+    coveredTo = Math.max(coveredTo, tenancy.end);
+  });
+
+  return {
+    tenancyStartDate: fromDayNumber(tenancies[0].start),
+    tenancyEndDate: coveredTo === Infinity ? null : fromDayNumber(coveredTo),
+    gaps
+  };
+}
+
+/**
+ * Check a tenancy's start and end dates
+ * @param {Object} tenancy - tenancyStartDate and tenancyEndDate as given in the request (either may be missing)
+ * @param {string} label - Prefix for the error message saying what the dates belong to
+ * @param {Function} isValidRequestDate - Checks a date in the request's format
+ * @param {string} dateFormat - Format the dates are in
+ * @returns {string|null} Error message, or null if the dates are valid
+ */
+function validateTenancy(tenancy, label, isValidRequestDate, dateFormat) {
+  const { tenancyStartDate, tenancyEndDate } = tenancy;
+
+  if (tenancyStartDate !== undefined && !isValidRequestDate(tenancyStartDate)) {
+    return `${label}tenancyStartDate must be a valid date`;
+  }
+
+  if (tenancyEndDate !== undefined && !isValidRequestDate(tenancyEndDate)) {
+    return `${label}tenancyEndDate must be a valid date`;
+  }
+
+  if (tenancyStartDate !== undefined && tenancyEndDate !== undefined &&
+      parseDay(tenancyEndDate, dateFormat) < parseDay(tenancyStartDate, dateFormat)) {
+    return `${label}tenancyEndDate is before tenancyStartDate`;
+  }
+
+  return null;
+}
+
+/**
+ * Read room weights from the property model in the request
+ * Each room can be a plain name, or an object with roomName and either a
+ * weight or a floorArea. If no room has either, rooms count equally as before;
+ * otherwise every room needs one, and all of them must use the same measure.
+ * Whole-property elements and common parts listed in rooms are not weighted.
+ *
+ * @param {Array} rooms - Rooms in the property
+ * @param {Array} periods - Disrepair periods, which must refer to listed rooms when weights are used
+ * @param {Object} elementTypes - Element type of each name in the periods
+ * @returns {Object} roomWeights keyed by room name (null if unweighted), or an error message
+ */
+function buildRoomWeights(rooms, periods, elementTypes) {
+  const weighted = rooms.some(room => room && typeof room === 'object' &&
+    (room.weight !== undefined || room.floorArea !== undefined));
+
+  if (!weighted) {
+    return { roomWeights: null };
+  }
+
+  const roomWeights = {};
+  let measure = null;
+
+  for (let i = 0; i < rooms.length; i++) {
+    const room = rooms[i];
+    const name = room && typeof room === 'object' ? room.roomName : room;
+
+    // Only rooms make up the property's weight
+    if (elementTypes[name] !== undefined && elementTypes[name] !== 'room') {
+      continue;
+    }
+
+    if (!room || typeof room !== 'object' || !room.roomName) {
+      return { error: `Room at index ${i} must have a roomName` };
+    }
+
+    if (room.weight !== undefined && room.floorArea !== undefined) {
+      return { error: `Room at index ${i} must have a weight or a floorArea, not both` };
+    }
+
+    const weight = room.weight !== undefined ? room.weight : room.floorArea;
+
+    if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0) {
+      return { error: `Room at index ${i} must have a positive weight or floorArea` };
+    }
+
+    // Weights and floor areas are different units, so cannot be added together
+    const roomMeasure = room.weight !== undefined ? 'weight' : 'floorArea';
+    measure = measure || roomMeasure;
+
+    if (roomMeasure !== measure) {
+      return { error: `Room at index ${i} has a ${roomMeasure}, but earlier rooms have a ${measure}. Use the same measure for every room` };
+    }
+
+    if (roomWeights[room.roomName] !== undefined) {
+      return { error: `Room "${room.roomName}" is listed more than once` };
+    }
+
+    roomWeights[room.roomName] = weight;
+  }
+
+  // Every period for a room has to be for a room in the model so its share is known
+  for (let i = 0; i < periods.length; i++) {
+    if (elementTypes[periods[i].roomName] === 'room' && roomWeights[periods[i].roomName] === undefined) {
+      return { error: `Period at index ${i} is for "${periods[i].roomName}", which is not in rooms` };
+    }
+  }
+
+  return { roomWeights };
+}
+
+/**
+ * List every date in the request body, so "auto" can detect the format from all of them
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Array} Date values as given in the request
+ */
+function collectRequestDates(body) {
+  const { periods, asOfDate, claimIssueDate, tenancyStartDate, tenancyEndDate, occupiers, exclusions, rentSchedule, interest } = body;
+  const values = [asOfDate, claimIssueDate, tenancyStartDate, tenancyEndDate];
+
+  periods.forEach(period => {
+    values.push(
+      period.startDate,
+      period.reportedDate,
+      ...DISPUTED_DATE_FIELDS.map(field => period[field]),
+      ...HAZARD_DATE_FIELDS.map(field => period[field])
+    );
+    if (!isOngoingEndDate(period.endDate)) {
+      values.push(period.endDate);
+    }
+  });
+
+  if (Array.isArray(occupiers)) {
+    occupiers.forEach(occupier => values.push(occupier && occupier.tenancyStartDate, occupier && occupier.tenancyEndDate));
+  }
+
+  if (Array.isArray(exclusions)) {
+    exclusions.forEach(exclusion => values.push(exclusion && exclusion.startDate, exclusion && exclusion.endDate));
+  }
+
+  if (Array.isArray(rentSchedule)) {
+    rentSchedule.forEach(rent => values.push(rent && rent.effectiveFrom));
+  }
+
+  if (interest && typeof interest === 'object') {
+    values.push(interest.calculationDate);
+
+    if (Array.isArray(interest.rateSchedule)) {
+      interest.rateSchedule.forEach(entry => values.push(entry && entry.effectiveFrom));
+    }
+  }
+
+  return values.filter(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Convert the dates in the request to YYYY-MM-DD so the calculation does not need to know the input format
+ * Dates must already have been validated, apart from the rent schedule and interest, where an
+ * invalid date is left as null for validateRentSchedule or validateInterestInput to report.
+ *
+ * @param {Object} request - periods, asOfDate, claimIssueDate, tenancyStartDate, tenancyEndDate, occupiers,
+ *   exclusions, rentSchedule and interest from the request
+ * @param {string} dateFormat - Format the dates are in
+ * @returns {Object} The same fields with their dates in YYYY-MM-DD format
+ */
+function normaliseRequestDates(request, dateFormat) {
+  const toIso = value => (value === undefined ? undefined : formatDateForProcessing(value, dateFormat));
+  const toIsoOrNull = value => parseDate(value, dateFormat).date || null;
+
+  return {
+    periods: request.periods.map(period => {
+      const normalised = {
+        ...period,
+        startDate: toIso(period.startDate),
+        endDate: isOngoingEndDate(period.endDate) ? period.endDate : toIso(period.endDate),
+        reportedDate: period.reportedDate === '' ? undefined : toIso(period.reportedDate)
+      };
+
+      // A blank disputed, investigated or repaired date (for example, an empty CSV column) means there is none
+      [...DISPUTED_DATE_FIELDS, ...HAZARD_DATE_FIELDS].forEach(field => {
+        normalised[field] = period[field] === '' ? undefined : toIso(period[field]);
+      });
+
+      return normalised;
+    }),
+    asOfDate: toIso(request.asOfDate),
+    claimIssueDate: toIso(request.claimIssueDate),
+    tenancyStartDate: toIso(request.tenancyStartDate),
+    tenancyEndDate: toIso(request.tenancyEndDate),
+    occupiers: request.occupiers && request.occupiers.map(occupier => ({
+      ...occupier,
+      tenancyStartDate: toIso(occupier.tenancyStartDate),
+      tenancyEndDate: toIso(occupier.tenancyEndDate)
+    })),
+    exclusions: request.exclusions && request.exclusions.map(exclusion => ({
+      ...exclusion,
+      startDate: toIso(exclusion.startDate),
+      endDate: toIso(exclusion.endDate)
+    })),
+    rentSchedule: Array.isArray(request.rentSchedule)
+      ? request.rentSchedule.map(rent => ({
+        ...rent,
+        effectiveFrom: rent ? toIsoOrNull(rent.effectiveFrom) : null
+      }))
+      : request.rentSchedule,
+    interest: isPlainObject(request.interest)
+      ? {
+        ...request.interest,
+        calculationDate: request.interest.calculationDate === undefined
+          ? undefined
+          : toIsoOrNull(request.interest.calculationDate),
+        rateSchedule: Array.isArray(request.interest.rateSchedule)
+          ? request.interest.rateSchedule.map(entry => ({
+            ...entry,
+            effectiveFrom: entry ? toIsoOrNull(entry.effectiveFrom) : null
+          }))
+          : request.interest.rateSchedule
+      }
+      : request.interest
+  };
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a plain object
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a number of days allowed for repair is a whole number, zero or more
+ * @param {*} value - Number of days from the request
+ * @returns {boolean} True if valid
+ */
+function isRepairDays(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Build a 400 response for invalid input
+ * @param {string} message - Description of the problem
+ * @returns {Object} HTTP status code and JSON payload to send
+ */
+function invalidInput(message) {
+  return {
+    statusCode: 400,
+    payload: { error: `Invalid input - ${message}` }
+  };
+}
+
+/**
+ * Build a 422 response listing every invalid period date
+ * @param {Array} errors - Errors from validatePeriodDates, each with index, field, value and message
+ * @returns {Object} HTTP status code and JSON payload to send
+ */
+function invalidDates(errors) {
+  return {
+    statusCode: 422,
+    payload: {
+      error: `Invalid dates - ${errors.length} problem${errors.length !== 1 ? 's' : ''} found in the periods`,
+      errors
+    }
+  };
+}
+
+module.exports = { processDisrepairRequest };
@@ -0,0 +1,183 @@
+// interest.js
+const { formatDateForOutput, parseDay } = require('./calculator');
+const { parseDate } = require('./public/js/date-parser');
+const { DEFAULT_ROUNDING_MODE, roundTo } = require('./rounding');
+
+/**
+ * Points in each period that interest can run from
+ * "midpoint" is the usual shortcut for a loss spread over the period;
+ * "end" is the day the period ended
+ */
+const INTEREST_FROM = ['midpoint', 'end'];
+
+const DEFAULT_INTEREST_FROM = 'midpoint';
+
+// Simple interest is calculated on a 365-day year, including in leap years
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Calculate simple interest on the damages for each period
+ * Interest on each period runs from its midpoint (or end) up to and including
+ * the calculation date, at the rate in force on each day.
+ * @param {Array} damagePeriods - Periods with startDate and endDate in YYYY-MM-DD format and their unrounded damages
+ * @param {Object} options - Interest settings
+ * @param {Number} options.rate - Annual rate as a percentage, such as 8 (or use rateSchedule)
+ * @param {Array} options.rateSchedule - Rates, each with effectiveFrom (YYYY-MM-DD) and an annual rate percentage
+ * @param {string} options.calculationDate - Date interest is calculated up to, in YYYY-MM-DD format
+ * @param {string} options.from - "midpoint" or "end" of each period (see INTEREST_FROM)
+ * @param {string} rounding - How money amounts are rounded (see ROUNDING_MODES)
+ * @returns {Object} Interest for each period, with the principal, interest and total
+ */
+function calculateInterest(damagePeriods, options, rounding = DEFAULT_ROUNDING_MODE) {
+  const from = options.from || DEFAULT_INTEREST_FROM;
+  const calculationDate = parseDay(options.calculationDate);
+  const rates = normaliseRates(options);
+
+  let totalPrincipal = 0;
+  let totalInterest = 0;
+
+  const periods = damagePeriods.map(period => {
+    const interestFrom = getInterestFrom(period, from);
+
+    // Add up the interest for each rate the days fall under
+    let days = 0;
+    let interest = 0;
+
+    rates.forEach((rate, i) => {
+      const nextRateStart = i < rates.length - 1 ? rates[i + 1].effectiveFrom : Infinity;
+      const first = Math.max(interestFrom + 1, rate.effectiveFrom);
+      const last = Math.min(calculationDate, nextRateStart - 1);
+
+      if (last >= first) {
+        days += last - first + 1;
+        interest += period.damages * rate.rate / 100 * (last - first + 1) / DAYS_PER_YEAR;
+      }
+    });
+
+    totalPrincipal += period.damages;
+    totalInterest += interest;
+
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      principal: roundTo(period.damages, 2, rounding),
+      interestFrom: formatDateForOutput(interestFrom),
+      days,
+      interest: roundTo(interest, 2, rounding)
+    };
+  });
+
+  return {
+    calculationDate: formatDateForOutput(calculationDate),
+    from,
+    ...(options.rateSchedule ? { rateSchedule: options.rateSchedule } : { rate: options.rate }),
+    periods,
+    principal: roundTo(totalPrincipal, 2, rounding),
+    interest: roundTo(totalInterest, 2, rounding),
+    total: roundTo(totalPrincipal + totalInterest, 2, rounding)
+  };
+}
+
+/**
+ * Find the day interest on a period runs from (interest is earned from the day after)
+ * @param {Object} period - Period with startDate and endDate in YYYY-MM-DD format
+ * @param {string} from - "midpoint" or "end" (see INTEREST_FROM)
+ * @returns {Number} Calendar day number
+ */
+function getInterestFrom(period, from) {
+  const start = parseDay(period.startDate);
+  const end = parseDay(period.endDate);
+  return from === 'end' ? end : start + Math.floor((end - start) / 2);
+}
+
+/**
+ * Find the first day any of the periods earns interest
+ * @param {Array} damagePeriods - Periods with startDate and endDate in YYYY-MM-DD format
+ * @param {Object} options - Interest settings with calculationDate (YYYY-MM-DD) and from
+ * @returns {string|null} First day in YYYY-MM-DD format, or null if no interest runs before the calculation date
+ */
+function findFirstInterestDate(damagePeriods, options) {
+  const from = options.from || DEFAULT_INTEREST_FROM;
+  const first = Math.min(...damagePeriods.map(period => getInterestFrom(period, from) + 1));
+  return first <= parseDay(options.calculationDate) ? formatDateForOutput(first) : null;
+}
+
+/**
+ * Convert a flat rate or a rate schedule to calendar day numbers sorted by effective date
+ * @param {Object} options - Interest settings with rate or rateSchedule
+ * @returns {Array} Rates with effectiveFrom as a day number, earliest first
+ */
+function normaliseRates(options) {
+  if (!options.rateSchedule) {
+    return [{ effectiveFrom: -Infinity, rate: options.rate }];
+  }
+
+  return options.rateSchedule
+    .map(entry => ({ effectiveFrom: parseDay(entry.effectiveFrom), rate: entry.rate }))
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+}
+
+/**
+ * Check the interest settings from a request
+ * @param {*} interest - Interest settings from the request, with dates in YYYY-MM-DD format
+ * @param {string} firstInterestDate - First day interest runs in YYYY-MM-DD format, if known
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+function validateInterestInput(interest, firstInterestDate = null) {
+  if (!interest || typeof interest !== 'object' || Array.isArray(interest)) {
+    return 'interest must be an object with a rate or rateSchedule';
+  }
+
+  const { rate, rateSchedule, calculationDate, from } = interest;
+
+  if ((rate === undefined) === (rateSchedule === undefined)) {
+    return 'interest must have either a rate or a rateSchedule';
+  }
+
+  if (rate !== undefined && !isRate(rate)) {
+    return 'interest rate must be a percentage of 0 or more, such as 8';
+  }
+
+  if (rateSchedule !== undefined) {
+    if (!Array.isArray(rateSchedule) || rateSchedule.length === 0) {
+      return 'interest rateSchedule must be a non-empty array';
+    }
+
+    for (let i = 0; i < rateSchedule.length; i++) {
+      const entry = rateSchedule[i];
+
+      if (!entry || parseDate(entry.effectiveFrom).error || !isRate(entry.rate)) {
+        return `interest rateSchedule entry at index ${i} must have a valid effectiveFrom date and a rate of 0 or more`;
+      }
+    }
+
+    // Every day interest runs needs a rate, so the schedule must start in time
+    if (firstInterestDate) {
+      const firstRate = normaliseRates(interest)[0].effectiveFrom;
+      if (firstRate > parseDay(firstInterestDate)) {
+        return `interest rateSchedule must start on or before the first day interest runs (${firstInterestDate})`;
+      }
+    }
+  }
+
+  if (calculationDate !== undefined && parseDate(calculationDate).error) {
+    return 'interest calculationDate must be a valid date';
+  }
+
+  if (from !== undefined && !INTEREST_FROM.includes(from)) {
+    return `interest from must be one of: ${INTEREST_FROM.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is an annual interest rate percentage
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isRate(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+module.exports = { calculateInterest, findFirstInterestDate, validateInterestInput, INTEREST_FROM };
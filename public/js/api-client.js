@@ -88,12 +88,22 @@ async function analyzeData() {
     const format = document.getElementById('format').value;
     const apiUrl = document.getElementById('apiUrl').value;
     const totalRooms = parseInt(document.getElementById('totalRooms').value, 10);
+    const weeklyRentInput = document.getElementById('weeklyRent').value.trim();
+    const weeklyRent = parseFloat(weeklyRentInput);
+    const bucket = document.getElementById('bucket').value;
+    const tenancyStartInput = document.getElementById('tenancyStartDate').value.trim();
+    const tenancyEndInput = document.getElementById('tenancyEndDate').value.trim();
+    const wholePropertyRule = document.getElementById('wholePropertyRule').value;
+    const landlordType = document.getElementById('landlordType').value;
+    const units = document.getElementById('units').value;
+    const rounding = document.getElementById('rounding').value;
     
     // Show loading indicator
     toggleLoading(true);
     document.getElementById('messageContainer').style.display = 'none';
     document.getElementById('resultsContainer').style.display = 'none';
     document.getElementById('calculationBreakdownContainer').style.display = 'none';
+    document.getElementById('comparisonContainer').style.display = 'none';
     
     // Validate input
     if (!dataInput) {
@@ -107,10 +117,18 @@ async function analyzeData() {
         return;
     }
     
+    // Validate weekly rent (optional)
+    if (weeklyRentInput && (isNaN(weeklyRent) || weeklyRent <= 0)) {
+        showMessage('Weekly rent must be a positive number');
+        return;
+    }
+    
     try {
         // Parse input data
         let requestData = {};
-        let originalPeriods = []; // Store the original periods for breakdown
+        
+        // Format the input dates are read in, detected from the data when "auto" is selected
+        let dateFormat = null;
         
         if (format === 'csv') {
             try {
@@ -133,19 +151,19 @@ async function analyzeData() {
                     throw new Error('No valid periods found in CSV');
                 }
                 
-                // Save original periods for breakdown
-                originalPeriods = periods;
+                dateFormat = window.validation.resolveInputDateFormat(
+                    periods,
+                    [tenancyStartInput, tenancyEndInput].filter(Boolean),
+                    window.validation.getSelectedDateFormat()
+                );
                 
                 // Convert dates to ISO format for API
-                const transformedPeriods = periods.map(period => ({
-                    roomName: period.roomName,
-                    startDate: formatDateForAPI(period.startDate),
-                    endDate: formatDateForAPI(period.endDate)
-                }));
+                const transformedPeriods = periods.map(period => transformPeriodForAPI(period, dateFormat.dateFormat));
                 
                 requestData = { 
                     periods: transformedPeriods,
-                    totalRooms: totalRooms
+                    totalRooms: totalRooms,
+                    include: ['merges', 'breakdown']
                 };
             } catch (error) {
                 showMessage(`CSV error: ${error.message}`);
@@ -162,25 +180,14 @@ async function analyzeData() {
                 // Validate JSON structure
                 window.validation.validateJsonStructure(dataInput);
                 
-                // Parse the data
-                const parsedData = JSON.parse(dataInput);
-                
-                // Extract the periods array
-                const periodsArray = Array.isArray(parsedData) ? parsedData : parsedData.periods;
+                // Parse the data and convert its dates to ISO format for API
+                const built = buildJsonRequest(JSON.parse(dataInput));
+                dateFormat = built.dateFormat;
                 
-                // Save original periods for breakdown
-                originalPeriods = periodsArray;
-                
-                // Convert dates to ISO format for API
-                const transformedPeriods = periodsArray.map(period => ({
-                    roomName: period.roomName,
-                    startDate: formatDateForAPI(period.startDate),
-                    endDate: formatDateForAPI(period.endDate)
-                }));
-                
-                requestData = { 
-                    periods: transformedPeriods,
-                    totalRooms: totalRooms
+                requestData = {
+                    ...built.requestData,
+                    totalRooms: totalRooms,
+                    include: ['merges', 'breakdown']
                 };
             } catch (error) {
                 showMessage(`JSON error: ${error.message}`);
@@ -188,6 +195,41 @@ async function analyzeData() {
             }
         }
         
+        // Ask for the damages calculation if a weekly rent was entered
+        // (a rent schedule in the JSON input takes precedence)
+        if (weeklyRentInput && !requestData.rentSchedule) {
+            requestData.weeklyRent = weeklyRent;
+        }
+        
+        // Split the results by month or year if selected (overriding the JSON input)
+        if (bucket) {
+            requestData.bucket = bucket;
+        }
+        
+        if (tenancyStartInput) {
+            requestData.tenancyStartDate = formatDateForAPI(tenancyStartInput, dateFormat.dateFormat);
+        }
+        
+        // Days after the tenancy ended are not counted
+        if (tenancyEndInput) {
+            requestData.tenancyEndDate = formatDateForAPI(tenancyEndInput, dateFormat.dateFormat);
+        }
+        
+        // Count whole-property defects, such as a failed boiler, the selected way
+        // (a wholePropertyRule in the JSON input takes precedence)
+        if (!requestData.wholePropertyRule) {
+            requestData.wholePropertyRule = wholePropertyRule;
+        }
+        
+        // Social landlords have Awaab's Law deadlines for damp and mould
+        if (landlordType === 'social') {
+            requestData.socialHousing = true;
+        }
+        
+        // Ask for durations in the selected units, rounded the selected way
+        requestData.units = units;
+        requestData.rounding = rounding;
+        
         console.log('Sending data to API:', requestData);
         
         // Make API request
@@ -202,18 +244,33 @@ async function analyzeData() {
         
         // Handle errors
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `API error: ${response.status}`);
+            throw await readApiError(response);
         }
         
         // Process and display results
-        const results = await response.json();
+        const data = await response.json();
+        const results = data.results;
         
         console.log('Displaying results with visualization module:', window.visualization);
-        window.visualization.displayResults(results, totalRooms);
+        window.visualization.displayResults(results, totalRooms, data.damages, units);
+        window.visualization.displayAwaabsLaw(data.awaabsLaw);
+        
+        // List any overlapping entries the API combined for the same room
+        window.visualization.displayMerges(data.merges);
+        window.visualization.displayElements(data.elements, units);
+        window.visualization.displayHazards(data.hazards, units);
+        window.visualization.displayBuckets(data.buckets, units);
+        window.visualization.displayOccupiers(data.occupiers, units);
+        window.visualization.displayInterest(data.interest);
+        window.visualization.displayLiability(data.liability);
         
-        // Now display the calculation breakdown with the original periods
-        window.visualization.displayCalculationBreakdown(originalPeriods, results);
+        // Now display the calculation breakdown exactly as the API calculated it
+        window.visualization.displayCalculationBreakdown(data.breakdown, data.asOfDate);
+        
+        // Say which way round ambiguous dates were read
+        if (dateFormat && dateFormat.warning) {
+            showMessage(dateFormat.warning, 'warning');
+        }
         
     } catch (error) {
         showMessage(`Error: ${error.message}`);
@@ -222,19 +279,320 @@ async function analyzeData() {
 }
 
 /**
- * Convert DD/MM/YYYY to YYYY-MM-DD (for API)
- * @param {string} dateStr - Date string in DD/MM/YYYY format
- * @returns {string} Date string in YYYY-MM-DD format
+ * Compares named schedules of periods (such as the tenant's and the landlord's) via the API
+ * The JSON input has a scenarios array, each with a name and periods. Any other
+ * settings in the JSON apply to every scenario unless the scenario has its own.
+ */
+async function compareScenarios() {
+    const dataInput = document.getElementById('dataInput').value.trim();
+    const format = document.getElementById('format').value;
+    const apiUrl = document.getElementById('apiUrl').value;
+    const totalRooms = parseInt(document.getElementById('totalRooms').value, 10);
+    const wholePropertyRule = document.getElementById('wholePropertyRule').value;
+    const units = document.getElementById('units').value;
+    const rounding = document.getElementById('rounding').value;
+    
+    // Show loading indicator
+    toggleLoading(true);
+    document.getElementById('messageContainer').style.display = 'none';
+    document.getElementById('resultsContainer').style.display = 'none';
+    document.getElementById('calculationBreakdownContainer').style.display = 'none';
+    document.getElementById('comparisonContainer').style.display = 'none';
+    
+    // Validate input
+    if (format !== 'json' || !window.validation.isComparisonInput(dataInput)) {
+        showMessage('To compare schedules, enter JSON with a "scenarios" array, each with a name and periods');
+        return;
+    }
+    
+    if (isNaN(totalRooms) || totalRooms < 1) {
+        showMessage('Total rooms must be a positive number');
+        return;
+    }
+    
+    try {
+        let requestData = {};
+        const warnings = [];
+        
+        try {
+            window.validation.validateComparisonStructure(dataInput);
+            
+            // Build each scenario as if it were JSON input on its own
+            const { scenarios, ...shared } = JSON.parse(dataInput);
+            
+            requestData = {
+                scenarios: scenarios.map(({ name, ...settings }) => {
+                    const built = buildJsonRequest({ ...shared, ...settings });
+                    
+                    if (built.dateFormat.warning) {
+                        warnings.push(`${name}: ${built.dateFormat.warning}`);
+                    }
+                    
+                    return { name, ...built.requestData };
+                }),
+                totalRooms: totalRooms,
+                wholePropertyRule: wholePropertyRule,
+                units: units,
+                rounding: rounding
+            };
+        } catch (error) {
+            showMessage(`JSON error: ${error.message}`);
+            return;
+        }
+        
+        console.log('Sending comparison to API:', requestData);
+        
+        // The comparison endpoint sits alongside the analysis endpoint
+        const response = await fetch(apiUrl.replace(/calculate-disrepair\/?$/, 'compare-disrepair'), {
+            method: 'POST',
+            headers: getApiHeaders(),
+            body: JSON.stringify(requestData)
+        });
+        
+        // Hide loading indicator
+        toggleLoading(false);
+        
+        if (!response.ok) {
+            throw await readApiError(response);
+        }
+        
+        const data = await response.json();
+        window.visualization.displayComparison(data);
+        
+        // Say which way round ambiguous dates were read in each schedule
+        if (warnings.length > 0) {
+            showMessage(warnings.join(' '), 'warning');
+        } else {
+            showMessage('Comparison completed successfully', 'success');
+        }
+    } catch (error) {
+        showMessage(`Error: ${error.message}`);
+        console.error('Comparison error:', error);
+    }
+}
+
+/**
+ * Turn an unsuccessful API response into an error with its message
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} Error describing the problem
  */
-function formatDateForAPI(dateStr) {
-    const parts = dateStr.trim().split('/');
-    if (parts.length !== 3) return dateStr; // Return as is if not in expected format
+async function readApiError(response) {
+    const errorData = await response.json();
+    
+    // Invalid dates come back with an error for each period and field
+    if (Array.isArray(errorData.errors) && errorData.errors.length > 0) {
+        const details = errorData.errors
+            .map(error => `Period at index ${error.index}: ${error.message}`)
+            .join('; ');
+        return new Error(`${errorData.error}. ${details}`);
+    }
     
-    const day = parts[0].padStart(2, '0');
-    const month = parts[1].padStart(2, '0');
-    const year = parts[2];
+    return new Error(errorData.error || `API error: ${response.status}`);
+}
+
+/**
+ * Build the request fields from JSON input, converting its dates to ISO format for the API
+ * @param {Object|Array} parsedData - Parsed JSON: an array of periods, or an object with periods and other settings
+ * @returns {Object} { requestData, dateFormat } with the fields to send and the format the dates were read in
+ */
+function buildJsonRequest(parsedData) {
+    // Extract the periods array
+    const periodsArray = Array.isArray(parsedData) ? parsedData : parsedData.periods;
+    
+    const dateFormat = window.validation.resolveJsonDateFormat(Array.isArray(parsedData) ? { periods: parsedData } : parsedData);
+    const toAPIDate = date => formatDateForAPI(date, dateFormat.dateFormat);
+    
+    // Convert dates to ISO format for API
+    const requestData = {
+        periods: periodsArray.map(period => transformPeriodForAPI(period, dateFormat.dateFormat))
+    };
+    
+    // Pass through the date ongoing periods should be counted up to
+    if (parsedData.asOfDate) {
+        requestData.asOfDate = toAPIDate(parsedData.asOfDate);
+    }
+    
+    // Pass through the claim issue date so periods can be clipped to the limitation window
+    if (parsedData.claimIssueDate) {
+        requestData.claimIssueDate = toAPIDate(parsedData.claimIssueDate);
+        
+        if (parsedData.limitationYears !== undefined) {
+            requestData.limitationYears = parsedData.limitationYears;
+        }
+    }
+    
+    // Pass through how to split the results, if the JSON says
+    if (parsedData.bucket) {
+        requestData.bucket = parsedData.bucket;
+    }
+    
+    // Pass through how whole-property defects are counted, if the JSON says
+    if (parsedData.wholePropertyRule) {
+        requestData.wholePropertyRule = parsedData.wholePropertyRule;
+    }
+    
+    // Pass through whether the landlord is a social landlord, for the Awaab's Law deadlines
+    if (parsedData.socialHousing !== undefined) {
+        requestData.socialHousing = parsedData.socialHousing;
+    }
+    
+    // Pass through the tenancy, outside which days are not counted
+    if (parsedData.tenancyStartDate) {
+        requestData.tenancyStartDate = toAPIDate(parsedData.tenancyStartDate);
+    }
+    
+    if (parsedData.tenancyEndDate) {
+        requestData.tenancyEndDate = toAPIDate(parsedData.tenancyEndDate);
+    }
+    
+    // Pass through the occupiers, so each one's share is worked out over their own tenancy
+    if (Array.isArray(parsedData.occupiers)) {
+        requestData.occupiers = parsedData.occupiers.map(occupier => ({
+            name: occupier.name,
+            tenancyStartDate: toAPIDate(occupier.tenancyStartDate),
+            ...(occupier.tenancyEndDate && { tenancyEndDate: toAPIDate(occupier.tenancyEndDate) })
+        }));
+    }
+    
+    // Pass through any exclusion windows, such as times access was refused
+    if (Array.isArray(parsedData.exclusions)) {
+        requestData.exclusions = parsedData.exclusions.map(exclusion => ({
+            ...exclusion,
+            startDate: toAPIDate(exclusion.startDate),
+            endDate: toAPIDate(exclusion.endDate)
+        }));
+    }
+    
+    // Pass through the rooms in the property, which may carry weights or floor areas
+    if (Array.isArray(parsedData.rooms)) {
+        requestData.rooms = parsedData.rooms;
+    }
+    
+    // Pass through custom repair allowances if the JSON has them
+    if (parsedData.repairAllowances) {
+        requestData.repairAllowances = parsedData.repairAllowances;
+    }
+    
+    // Pass through custom severity weights if the JSON has them
+    if (parsedData.severityWeights) {
+        requestData.severityWeights = parsedData.severityWeights;
+    }
+    
+    // Pass through a custom abatement policy if the JSON has one
+    if (parsedData.abatementPolicy) {
+        requestData.abatementPolicy = parsedData.abatementPolicy;
+    }
+    
+    // Pass through the interest settings, so interest is added to the damages
+    if (parsedData.interest) {
+        requestData.interest = { ...parsedData.interest };
+        
+        if (parsedData.interest.calculationDate) {
+            requestData.interest.calculationDate = toAPIDate(parsedData.interest.calculationDate);
+        }
+        
+        if (Array.isArray(parsedData.interest.rateSchedule)) {
+            requestData.interest.rateSchedule = parsedData.interest.rateSchedule.map(entry => ({
+                ...entry,
+                effectiveFrom: toAPIDate(entry.effectiveFrom)
+            }));
+        }
+    }
+    
+    // Pass through a rent schedule if the rent changed during the claim
+    if (Array.isArray(parsedData.rentSchedule)) {
+        requestData.rentSchedule = parsedData.rentSchedule.map(rent => ({
+            effectiveFrom: toAPIDate(rent.effectiveFrom),
+            weeklyRent: rent.weeklyRent
+        }));
+    }
+    
+    return { requestData, dateFormat };
+}
+
+/**
+ * Convert a parsed period into the shape the API expects
+ * @param {Object} period - Period with roomName, startDate, endDate (blank if ongoing) and optional severity,
+ *   extent, elementType, hazard, hazardBand, disputed date ranges, investigatedDate, repairedDate and emergency
+ * @param {string} dateFormat - Format the dates are in (see window.dateParser.parseDate)
+ * @returns {Object} Period with ISO dates
+ */
+function transformPeriodForAPI(period, dateFormat = 'uk') {
+    const transformed = {
+        roomName: period.roomName,
+        startDate: formatDateForAPI(period.startDate, dateFormat),
+        endDate: window.validation.isOngoingEndDate(period.endDate) ? 'ongoing' : formatDateForAPI(period.endDate, dateFormat)
+    };
+    
+    if (period.severity) {
+        transformed.severity = period.severity;
+    }
+    
+    // Only part of the room is affected (a fraction from 0 to 1)
+    if (period.extent !== undefined && period.extent !== '') {
+        transformed.extent = Number(period.extent);
+    }
+    
+    // Notice details move the start of the period to the date the landlord became liable
+    if (period.reportedDate) {
+        transformed.reportedDate = formatDateForAPI(period.reportedDate, dateFormat);
+        
+        if (period.reasonableRepairDays !== undefined && period.reasonableRepairDays !== '') {
+            transformed.reasonableRepairDays = Number(period.reasonableRepairDays);
+        }
+    }
+    
+    if (period.defectType) {
+        transformed.defectType = period.defectType;
+    }
+    
+    // Whole-property elements and common parts are not counted as rooms
+    if (period.elementType) {
+        transformed.elementType = period.elementType;
+    }
+    
+    // The HHSRS hazard the defect presents, and optionally its band
+    if (period.hazard) {
+        transformed.hazard = period.hazard;
+        
+        if (period.hazardBand) {
+            transformed.hazardBand = String(period.hazardBand).toUpperCase();
+        }
+    }
+    
+    // Disputed dates give the earliest and latest the period could have started or ended
+    window.dateParser.DISPUTED_DATE_FIELDS.forEach(field => {
+        if (period[field]) {
+            transformed[field] = formatDateForAPI(period[field], dateFormat);
+        }
+    });
+    
+    // When a reported hazard was investigated and repaired, for the Awaab's Law deadlines
+    window.dateParser.HAZARD_DATE_FIELDS.forEach(field => {
+        if (period[field]) {
+            transformed[field] = formatDateForAPI(period[field], dateFormat);
+        }
+    });
+    
+    // An emergency hazard must be dealt with within 24 hours (a CSV column reads "yes" or "true")
+    if (period.emergency === true || /^(yes|true)$/i.test(String(period.emergency).trim())) {
+        transformed.emergency = true;
+    }
+    
+    return transformed;
+}
+
+/**
+ * Convert a date to YYYY-MM-DD (for API)
+ * @param {string|number} dateStr - Date in the given format (DD/MM/YYYY by default)
+ * @param {string} dateFormat - Format the date is in (see window.dateParser.parseDate)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function formatDateForAPI(dateStr, dateFormat = 'uk') {
+    const parsed = window.dateParser.parseDate(dateStr, dateFormat);
     
-    return `${year}-${month}-${day}`;
+    // Return as is if not in the expected format, so the API can report the problem
+    return parsed.date || String(dateStr).trim();
 }
 
 // Make sure showMessage and toggleLoading are defined
@@ -273,6 +631,7 @@ if (typeof toggleLoading !== 'function') {
 window.apiClient = {
     testConnection,
     analyzeData,
+    compareScenarios,
     getApiHeaders,
     formatDateForAPI
 };
@@ -93,6 +93,9 @@ function setupButtonEvents() {
     // Analyze data button
     document.querySelector('button[onclick="analyzeData()"]')?.addEventListener('click', window.apiClient.analyzeData);
     
+    // Compare schedules button
+    document.querySelector('button[onclick="compareScenarios()"]')?.addEventListener('click', window.apiClient.compareScenarios);
+    
     // Download example CSV button
     document.querySelector('button[onclick="downloadExampleCsv()"]')?.addEventListener('click', window.fileHandling.downloadExampleCsv);
     
@@ -126,6 +129,7 @@ window.loadCsvSample = window.fileHandling?.loadCsvSample;
 window.validateInputData = window.validation?.validateInputData;
 window.clearData = window.fileHandling?.clearData;
 window.analyzeData = window.apiClient?.analyzeData;
+window.compareScenarios = window.apiClient?.compareScenarios;
 window.downloadExampleCsv = window.fileHandling?.downloadExampleCsv;
 window.downloadExampleJson = window.fileHandling?.downloadExampleJson;
 window.processUploadedFile = window.fileHandling?.processUploadedFile;
\ No newline at end of file
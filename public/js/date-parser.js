@@ -0,0 +1,358 @@
+/**
+ * date-parser.js
+ * Strict date parsing shared by the browser validator and the API
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Date formats a request can declare; "auto" detects one of the others from the data
+const DATE_FORMATS = ['uk', 'us', 'iso', 'excel-serial', 'auto'];
+
+// Optional period fields giving the range of a disputed start or end date
+const DISPUTED_DATE_FIELDS = ['earliestStartDate', 'latestStartDate', 'earliestEndDate', 'latestEndDate'];
+
+// Optional period fields recording when a reported hazard was investigated and repaired (for Awaab's Law)
+const HAZARD_DATE_FIELDS = ['investigatedDate', 'repairedDate'];
+
+// How each format is described in error messages
+const FORMAT_DESCRIPTIONS = {
+    uk: 'in DD/MM/YYYY or YYYY-MM-DD format',
+    us: 'in MM/DD/YYYY or YYYY-MM-DD format',
+    iso: 'in YYYY-MM-DD format, optionally with a time',
+    'excel-serial': 'an Excel serial number (such as 45658) or in YYYY-MM-DD format'
+};
+
+const SLASH_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const SERIAL_PATTERN = /^\d+(\.\d+)?$/;
+
+// Excel counts 1 as 1 January 1900 and wrongly treats 1900 as a leap year (serial 60)
+const EXCEL_LEAP_BUG_SERIAL = 60;
+const EXCEL_EPOCH_DAY_NUMBER = -25569; // 30 December 1899
+
+/**
+ * Parse a date in the given format
+ * Impossible dates such as 31/02/2025 are rejected rather than rolled over.
+ * YYYY-MM-DD is accepted whatever the format, as it cannot be misread.
+ * @param {*} value - The date to parse
+ * @param {string} dateFormat - "uk" (DD/MM/YYYY), "us" (MM/DD/YYYY), "iso" (dates and datetimes)
+ *   or "excel-serial"; resolve "auto" with resolveDateFormat first
+ * @returns {Object} { date } in YYYY-MM-DD format if valid, otherwise { error } describing the problem
+ */
+function parseDate(value, dateFormat = 'uk') {
+    if (dateFormat === 'excel-serial' && typeof value === 'number') {
+        return parseExcelSerial(value);
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+        return { error: 'is missing' };
+    }
+
+    const trimmed = value.trim();
+    const slashMatch = trimmed.match(SLASH_DATE_PATTERN);
+    const isoMatch = trimmed.match(ISO_DATE_PATTERN) ||
+        (dateFormat === 'iso' ? trimmed.match(ISO_DATETIME_PATTERN) : null);
+
+    let parts = null;
+
+    if (isoMatch) {
+        parts = [isoMatch[1], isoMatch[2], isoMatch[3]];
+    } else if (slashMatch && dateFormat === 'uk') {
+        parts = [slashMatch[3], slashMatch[2], slashMatch[1]];
+    } else if (slashMatch && dateFormat === 'us') {
+        parts = [slashMatch[3], slashMatch[1], slashMatch[2]];
+    } else if (dateFormat === 'excel-serial' && SERIAL_PATTERN.test(trimmed)) {
+        return parseExcelSerial(Number(trimmed));
+    }
+
+    if (!parts) {
+        return { error: `"${trimmed}" must be ${FORMAT_DESCRIPTIONS[dateFormat]}` };
+    }
+
+    const [year, month, day] = parts.map(Number);
+
+    if (month < 1 || month > 12) {
+        return { error: `"${trimmed}" is not a real date (there is no month ${month})` };
+    }
+
+    const lastDay = daysInMonth(year, month);
+    if (day < 1 || day > lastDay) {
+        return { error: `"${trimmed}" is not a real date (${MONTH_NAMES[month - 1]} ${year} has ${lastDay} days)` };
+    }
+
+    return {
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    };
+}
+
+/**
+ * Convert an Excel serial date number (1900 date system) to a date
+ * Any time of day (the fraction) is ignored.
+ * @param {number} serial - Excel serial number
+ * @returns {Object} { date } in YYYY-MM-DD format if valid, otherwise { error }
+ */
+function parseExcelSerial(serial) {
+    const wholeDays = Math.floor(serial);
+
+    if (!isFinite(serial) || wholeDays < 1) {
+        return { error: `"${serial}" is not a valid Excel serial date` };
+    }
+
+    if (wholeDays === EXCEL_LEAP_BUG_SERIAL) {
+        return { error: `"${serial}" is 29/02/1900 in Excel, which is not a real date` };
+    }
+
+    // Serials before the non-existent 29 February 1900 are one day further from the epoch
+    const offset = wholeDays < EXCEL_LEAP_BUG_SERIAL ? 1 : 0;
+    return { date: fromDayNumber(EXCEL_EPOCH_DAY_NUMBER + wholeDays + offset) };
+}
+
+/**
+ * Work out which format to read a set of dates in
+ * An explicit format is used as it is. With "auto", the format is detected
+ * from all of the dates together: a day over 12 shows which way round
+ * DD/MM and MM/DD dates are. If nothing shows that, they are read as UK dates
+ * and a warning is returned, so an ambiguous date is never guessed silently.
+ * @param {Array} values - Every date in the request or file
+ * @param {string} dateFormat - Declared format (see DATE_FORMATS)
+ * @returns {Object} { dateFormat, detected, warning } or { error } if the dates mix formats
+ */
+function resolveDateFormat(values, dateFormat = 'uk') {
+    if (dateFormat !== 'auto') {
+        return { dateFormat, detected: false };
+    }
+
+    const kinds = new Set();
+    let dayFirst = false;
+    let monthFirst = false;
+    const ambiguous = [];
+
+    values.forEach(value => {
+        const text = typeof value === 'number' ? String(value) : String(value || '').trim();
+        const slashMatch = text.match(SLASH_DATE_PATTERN);
+
+        if (slashMatch) {
+            kinds.add('slash');
+            const [first, second] = [Number(slashMatch[1]), Number(slashMatch[2])];
+
+            if (first > 12) {
+                dayFirst = true;
+            } else if (second > 12) {
+                monthFirst = true;
+            } else if (first !== second) {
+                ambiguous.push(text);
+            }
+        } else if (ISO_DATETIME_PATTERN.test(text)) {
+            kinds.add('datetime');
+        } else if (SERIAL_PATTERN.test(text)) {
+            kinds.add('serial');
+        }
+    });
+
+    if (kinds.size > 1) {
+        return { error: 'Dates are in more than one format, so the format cannot be detected. Set dateFormat to uk, us, iso or excel-serial' };
+    }
+
+    if (kinds.has('serial')) {
+        return { dateFormat: 'excel-serial', detected: true };
+    }
+
+    if (kinds.has('datetime')) {
+        return { dateFormat: 'iso', detected: true };
+    }
+
+    if (dayFirst && monthFirst) {
+        return { error: 'Some dates are DD/MM/YYYY and others MM/DD/YYYY, so the format cannot be detected. Set dateFormat to uk or us' };
+    }
+
+    if (monthFirst) {
+        return { dateFormat: 'us', detected: true };
+    }
+
+    const result = { dateFormat: 'uk', detected: true };
+
+    if (!dayFirst && ambiguous.length > 0) {
+        result.warning = `${ambiguous.length} date${ambiguous.length !== 1 ? 's' : ''} such as "${ambiguous[0]}" could be ` +
+            'DD/MM/YYYY or MM/DD/YYYY and were read as DD/MM/YYYY (UK). Set dateFormat to uk or us to confirm';
+    }
+
+    return result;
+}
+
+/**
+ * Convert a YYYY-MM-DD date to a calendar day number (days since 1 January 1970)
+ * Day numbers do not depend on the time zone or clock changes, so the number
+ * of days in a period is always a whole number.
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @returns {number} Calendar day number
+ */
+function toDayNumber(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/**
+ * Convert a calendar day number back to a YYYY-MM-DD date
+ * @param {number} dayNumber - Calendar day number
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Today's date in the UK, whatever time zone the server or browser is in
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function todayInUk() {
+    // The en-CA locale formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/London' }).format(new Date());
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month from 1 to 12
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Check whether an end date marks a period as ongoing (not yet repaired)
+ * @param {*} endDate - The end date to check
+ * @returns {boolean} True if blank, missing or "ongoing"
+ */
+function isOngoingEndDate(endDate) {
+    return endDate === undefined || endDate === null ||
+        String(endDate).trim() === '' || String(endDate).trim().toLowerCase() === 'ongoing';
+}
+
+/**
+ * Check the dates of every disrepair period
+ * @param {Array} periods - Periods with startDate, endDate and optionally reportedDate, the disputed
+ *   date ranges (see DISPUTED_DATE_FIELDS) and the investigated and repaired dates (see HAZARD_DATE_FIELDS)
+ * @param {string} dateFormat - Format the dates are in (see parseDate)
+ * @param {string} asOfDate - Date ongoing periods run up to, in YYYY-MM-DD format (defaults to today in the UK)
+ * @returns {Array} Errors, each with the period index, field, value and message (empty if all valid)
+ */
+function validatePeriodDates(periods, dateFormat = 'uk', asOfDate = todayInUk()) {
+    const errors = [];
+
+    periods.forEach((period, index) => {
+        const check = field => {
+            const parsed = parseDate(period[field], dateFormat);
+            if (parsed.error) {
+                errors.push({ index, field, value: period[field], message: `${field} ${parsed.error}` });
+            }
+            return parsed.date;
+        };
+
+        const startDate = check('startDate');
+
+        // A missing, blank or "ongoing" end date means the disrepair has not been fixed yet
+        const endDate = isOngoingEndDate(period.endDate) ? null : check('endDate');
+
+        const isGiven = field => period[field] !== undefined && period[field] !== '';
+
+        const reportedDate = isGiven('reportedDate') ? check('reportedDate') : null;
+
+        // ISO dates compare correctly as strings
+        if (startDate && endDate && endDate < startDate) {
+            errors.push({
+                index,
+                field: 'endDate',
+                value: period.endDate,
+                message: `endDate "${period.endDate}" is before startDate "${period.startDate}"`
+            });
+        }
+
+        // An ongoing period runs up to the as-of date, so cannot start after it
+        if (startDate && !endDate && isOngoingEndDate(period.endDate) && startDate > asOfDate) {
+            errors.push({
+                index,
+                field: 'startDate',
+                value: period.startDate,
+                message: `startDate "${period.startDate}" is after ${asOfDate}, the date ongoing periods run up to`
+            });
+        }
+
+        // Disputed dates give a range either side of the central start and end dates
+        const checkBound = (field, centralField, centralDate, earliest) => {
+            if (period[field] === undefined || period[field] === '') {
+                return;
+            }
+
+            if (centralField === 'endDate' && isOngoingEndDate(period.endDate)) {
+                errors.push({ index, field, value: period[field], message: `${field} cannot be given for an ongoing period` });
+                return;
+            }
+
+            const date = check(field);
+            if (date && centralDate && (earliest ? date > centralDate : date < centralDate)) {
+                errors.push({
+                    index,
+                    field,
+                    value: period[field],
+                    message: `${field} "${period[field]}" is ${earliest ? 'after' : 'before'} ${centralField} "${period[centralField]}"`
+                });
+            }
+        };
+
+        checkBound('earliestStartDate', 'startDate', startDate, true);
+        checkBound('latestStartDate', 'startDate', startDate, false);
+        checkBound('earliestEndDate', 'endDate', endDate, true);
+        checkBound('latestEndDate', 'endDate', endDate, false);
+
+        // A hazard is investigated after it is reported, and repaired after both
+        let previousField = 'reportedDate';
+        let previousDate = reportedDate;
+
+        HAZARD_DATE_FIELDS.filter(isGiven).forEach(field => {
+            const date = check(field);
+
+            if (date && previousDate && date < previousDate) {
+                errors.push({
+                    index,
+                    field,
+                    value: period[field],
+                    message: `${field} "${period[field]}" is before ${previousField} "${period[previousField]}"`
+                });
+            }
+
+            if (date) {
+                previousField = field;
+                previousDate = date;
+            }
+        });
+    });
+
+    return errors;
+}
+
+const dateParser = {
+    DATE_FORMATS,
+    DISPUTED_DATE_FIELDS,
+    HAZARD_DATE_FIELDS,
+    parseDate,
+    resolveDateFormat,
+    validatePeriodDates,
+    isOngoingEndDate,
+    toDayNumber,
+    fromDayNumber,
+    todayInUk
+};
+
+// Export to global scope in the browser, or as a module for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = dateParser;
+} else {
+    window.dateParser = dateParser;
+}
@@ -14,6 +14,7 @@ const sampleJsonData = {
         },
         {
             roomName: "Roof",
+            elementType: "whole-property",
             startDate: "03/03/2025",
             endDate: "30/04/2025"
         },
@@ -26,10 +27,10 @@ const sampleJsonData = {
 };
 
 const sampleCsvData = 
-`roomName,startDate,endDate
-Bedroom 1,12/01/2025,09/05/2025
-Roof,03/03/2025,30/04/2025
-Kitchen,15/03/2025,12/05/2025`;
+`roomName,startDate,endDate,elementType
+Bedroom 1,12/01/2025,09/05/2025,room
+Roof,03/03/2025,30/04/2025,whole-property
+Kitchen,15/03/2025,12/05/2025,room`;
 
 /**
  * Update file name display when a file is selected
@@ -95,9 +96,14 @@ function processUploadedFile() {
                 // If JSON has totalRooms, update the input field
                 try {
                     const jsonData = JSON.parse(contents);
-                    if (jsonData.totalRooms) {
+                    if (Array.isArray(jsonData.rooms)) {
+                        document.getElementById('totalRooms').value = jsonData.rooms.length;
+                    } else if (jsonData.totalRooms) {
                         document.getElementById('totalRooms').value = jsonData.totalRooms;
                     }
+                    if (jsonData.weeklyRent) {
+                        document.getElementById('weeklyRent').value = jsonData.weeklyRent;
+                    }
                 } catch (e) {
                     // Ignore parsing errors here as the main validation already passed
                 }
@@ -147,18 +153,48 @@ function sanitizeFilename(filename) {
 function parseCsv(csvData) {
     const lines = csvData.trim().split('\n');
     const rawHeaders = lines[0].split(',');
+    const disputedHeaders = window.validation.DISPUTED_DATE_HEADERS;
     
     // Process headers to handle different naming conventions
     const headers = rawHeaders.map(header => {
         const h = header.trim().toLowerCase();
         
-        // Standardise header names
+        // Standardise header names (disputed date ranges first, as they also mention the start or end)
         if (/room.*name|name.*room/i.test(h)) {
             return 'roomName';
-        } else if (/start.*date|date.*start/i.test(h)) {
+        }
+        
+        const disputedField = Object.keys(disputedHeaders).find(field => disputedHeaders[field].test(h));
+        if (disputedField) {
+            return disputedField;
+        }
+        
+        if (/start.*date|date.*start/i.test(h)) {
             return 'startDate';
         } else if (/end.*date|date.*end/i.test(h)) {
             return 'endDate';
+        } else if (/severity/i.test(h)) {
+            return 'severity';
+        } else if (/reported/i.test(h)) {
+            return 'reportedDate';
+        } else if (/investigated/i.test(h)) {
+            return 'investigatedDate';
+        } else if (/repaired/i.test(h)) {
+            return 'repairedDate';
+        } else if (/emergency/i.test(h)) {
+            return 'emergency';
+        } else if (/repair.*days|allowance/i.test(h)) {
+            return 'reasonableRepairDays';
+        } else if (/element/i.test(h)) {
+            return 'elementType';
+        } else if (/band/i.test(h)) {
+            return 'hazardBand';
+        } else if (/hazard/i.test(h)) {
+            return 'hazard';
+        } else if (/defect.*type|^type$/i.test(h)) {
+            return 'defectType';
+        } else if (/extent|fraction/i.test(h)) {
+            return 'extent';
         }
         
         return h;
@@ -178,8 +214,9 @@ function parseCsv(csvData) {
             }
         }
         
-        // Only add if it has all required fields
-        if (obj.roomName && obj.startDate && obj.endDate) {
+        // Only add if it has all required fields (a blank end date means ongoing)
+        if (obj.roomName && obj.startDate) {
+            obj.endDate = obj.endDate || '';
             result.push(obj);
         }
     }
@@ -223,12 +260,12 @@ function clearData() {
  * Generate and download example CSV file
  */
 function downloadExampleCsv() {
-    const csvContent = `roomName,startDate,endDate
-Bedroom 1,12/01/2025,09/05/2025
-Roof,03/03/2025,30/04/2025
-Kitchen,15/03/2025,12/05/2025
-Bathroom,01/02/2025,15/04/2025
-Living Room,20/01/2025,25/03/2025`;
+    const csvContent = `roomName,startDate,endDate,elementType
+Bedroom 1,12/01/2025,09/05/2025,room
+Roof,03/03/2025,30/04/2025,whole-property
+Kitchen,15/03/2025,12/05/2025,room
+Bathroom,01/02/2025,15/04/2025,room
+Living Room,20/01/2025,25/03/2025,room`;
     
     downloadFile('example-disrepair.csv', 'text/csv', csvContent);
 }
@@ -247,6 +284,7 @@ function downloadExampleJson() {
             },
             {
                 roomName: "Roof",
+                elementType: "whole-property",
                 startDate: "03/03/2025",
                 endDate: "30/04/2025"
             },
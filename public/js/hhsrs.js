@@ -0,0 +1,78 @@
+/**
+ * hhsrs.js
+ * Housing Health and Safety Rating System hazards and bands, shared by the browser validator and the API
+ */
+
+// The 29 hazards, in the order they are numbered in the HHSRS
+const HHSRS_HAZARDS = [
+    { hazard: 'damp-and-mould', name: 'Damp and mould growth' },
+    { hazard: 'excess-cold', name: 'Excess cold' },
+    { hazard: 'excess-heat', name: 'Excess heat' },
+    { hazard: 'asbestos-and-mmf', name: 'Asbestos and MMF' },
+    { hazard: 'biocides', name: 'Biocides' },
+    { hazard: 'carbon-monoxide', name: 'Carbon monoxide and fuel combustion products' },
+    { hazard: 'lead', name: 'Lead' },
+    { hazard: 'radiation', name: 'Radiation' },
+    { hazard: 'uncombusted-fuel-gas', name: 'Uncombusted fuel gas' },
+    { hazard: 'volatile-organic-compounds', name: 'Volatile organic compounds' },
+    { hazard: 'crowding-and-space', name: 'Crowding and space' },
+    { hazard: 'entry-by-intruders', name: 'Entry by intruders' },
+    { hazard: 'lighting', name: 'Lighting' },
+    { hazard: 'noise', name: 'Noise' },
+    { hazard: 'domestic-hygiene', name: 'Domestic hygiene, pests and refuse' },
+    { hazard: 'food-safety', name: 'Food safety' },
+    { hazard: 'personal-hygiene', name: 'Personal hygiene, sanitation and drainage' },
+    { hazard: 'water-supply', name: 'Water supply' },
+    { hazard: 'falls-associated-with-baths', name: 'Falls associated with baths etc' },
+    { hazard: 'falls-on-level-surfaces', name: 'Falling on level surfaces etc' },
+    { hazard: 'falls-on-stairs', name: 'Falling on stairs etc' },
+    { hazard: 'falls-between-levels', name: 'Falling between levels' },
+    { hazard: 'electrical-hazards', name: 'Electrical hazards' },
+    { hazard: 'fire', name: 'Fire' },
+    { hazard: 'flames-and-hot-surfaces', name: 'Flames, hot surfaces etc' },
+    { hazard: 'collision-and-entrapment', name: 'Collision and entrapment' },
+    { hazard: 'explosions', name: 'Explosions' },
+    { hazard: 'position-of-amenities', name: 'Position and operability of amenities etc' },
+    { hazard: 'structural-collapse', name: 'Structural collapse and falling elements' }
+].map((entry, index) => ({ number: index + 1, ...entry }));
+
+const HAZARD_IDS = HHSRS_HAZARDS.map(entry => entry.hazard);
+
+// Hazard score bands, from A (the most serious) to J
+const HAZARD_BANDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+
+// Bands A to C are Category 1 hazards, which a local authority must act on
+const CATEGORY_1_BANDS = ['A', 'B', 'C'];
+
+/**
+ * Look up a hazard by its identifier
+ * @param {string} hazard - Identifier such as "damp-and-mould"
+ * @returns {Object|undefined} The hazard's number, identifier and name, if it is one of HHSRS_HAZARDS
+ */
+function findHazard(hazard) {
+    return HHSRS_HAZARDS.find(entry => entry.hazard === hazard);
+}
+
+/**
+ * Work out the category of a hazard band
+ * @param {string} band - Band from A to J
+ * @returns {Number} 1 for bands A to C, otherwise 2
+ */
+function getHazardCategory(band) {
+    return CATEGORY_1_BANDS.includes(band) ? 1 : 2;
+}
+
+const hhsrs = {
+    HHSRS_HAZARDS,
+    HAZARD_IDS,
+    HAZARD_BANDS,
+    findHazard,
+    getHazardCategory
+};
+
+// Export to global scope in the browser, or as a module for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = hhsrs;
+} else {
+    window.hhsrs = hhsrs;
+}
@@ -0,0 +1,47 @@
+/**
+ * period-types.js
+ * What a period can be recorded against and how severe it can be, shared by the browser validator and the API
+ */
+
+/**
+ * What a period can be recorded against
+ * A "room" is a room in the property, a "whole-property" element (such as the roof
+ * or the heating) affects the home as a whole, and a "common-part" (such as a shared
+ * stairwell) is outside the home. Only rooms count towards the number of rooms.
+ */
+const ELEMENT_TYPES = ['room', 'whole-property', 'common-part'];
+
+/**
+ * How a whole-property defect changes the share of the property affected
+ * "all-rooms" counts every room as affected while it lasts, "one-room" counts it
+ * as one more room, and "ignore" leaves the share to the rooms alone
+ */
+const WHOLE_PROPERTY_RULES = ['all-rooms', 'one-room', 'ignore'];
+
+/**
+ * Default weight for each severity level, as a fraction of a whole room
+ * Periods without a severity count as a whole room
+ */
+const DEFAULT_SEVERITY_WEIGHTS = {
+    minor: 0.25,
+    moderate: 0.5,
+    serious: 0.75,
+    uninhabitable: 1
+};
+
+// Severity levels accepted without custom severityWeights
+const SEVERITY_LEVELS = Object.keys(DEFAULT_SEVERITY_WEIGHTS);
+
+const periodTypes = {
+    ELEMENT_TYPES,
+    WHOLE_PROPERTY_RULES,
+    DEFAULT_SEVERITY_WEIGHTS,
+    SEVERITY_LEVELS
+};
+
+// Export to global scope in the browser, or as a module for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = periodTypes;
+} else {
+    window.periodTypes = periodTypes;
+}
@@ -3,6 +3,14 @@
  * Functions for validating input data
  */
 
+// CSV columns for disputed date ranges, such as "Earliest Start Date"
+const DISPUTED_DATE_HEADERS = {
+    earliestStartDate: /earliest.*start/i,
+    latestStartDate: /latest.*start/i,
+    earliestEndDate: /earliest.*end/i,
+    latestEndDate: /latest.*end/i
+};
+
 /**
  * Validate input data manually
  */
@@ -25,6 +33,10 @@ function validateInputData() {
                 const periods = window.fileHandling.parseCsv(dataInput);
                 message = `✅ Valid CSV with ${periods.length} disrepair period(s)`;
             }
+        } else if (isComparisonInput(dataInput)) {
+            valid = validateComparisonStructure(dataInput);
+            const { scenarios } = JSON.parse(dataInput);
+            message = `✅ Valid JSON with ${scenarios.length} schedules to compare`;
         } else {
             valid = validateJsonStructure(dataInput);
             const data = JSON.parse(dataInput);
@@ -41,16 +53,21 @@ function validateInputData() {
 /**
  * Function to validate CSV structure
  * @param {string} csvContent - The CSV content to validate
+ * @param {string} dateFormat - Format the dates are in (defaults to the format selected on the page)
+ * @param {string} asOfDate - Date ongoing periods are counted up to, as the request will send it (defaults to today, as the API does)
  * @returns {boolean} True if valid
  * @throws {Error} If validation fails
  */
-function validateCsvStructure(csvContent) {
+function validateCsvStructure(csvContent, dateFormat = getSelectedDateFormat(), asOfDate = undefined) {
     const lines = csvContent.trim().split('\n');
     if (lines.length < 2) {
         throw new Error('CSV must have a header row and at least one data row');
     }
     
     const headers = lines[0].toLowerCase().split(',').map(h => h.trim());
+    
+    // Disputed date columns also mention the start or end date, so are kept apart from them
+    const isDisputedHeader = h => Object.values(DISPUTED_DATE_HEADERS).some(pattern => pattern.test(h));
     const requiredFieldPatterns = [
         /room.*name|name.*room/i,
         /start.*date|date.*start/i,
@@ -60,13 +77,29 @@ function validateCsvStructure(csvContent) {
     // Check for required fields (allowing for variations in naming)
     for (let i = 0; i < requiredFieldPatterns.length; i++) {
         const pattern = requiredFieldPatterns[i];
-        if (!headers.some(h => pattern.test(h))) {
+        if (!headers.some(h => pattern.test(h) && !isDisputedHeader(h))) {
             const fieldNames = ['room name', 'start date', 'end date'];
             throw new Error(`CSV must include a column for ${fieldNames[i]}`);
         }
     }
     
-    // Validate each data row
+    // Get indices for date fields and the optional severity field
+    const startDateIndex = headers.findIndex(h => /start.*date|date.*start/i.test(h) && !isDisputedHeader(h));
+    const endDateIndex = headers.findIndex(h => /end.*date|date.*end/i.test(h) && !isDisputedHeader(h));
+    const severityIndex = headers.findIndex(h => /severity/i.test(h));
+    const reportedDateIndex = headers.findIndex(h => /reported/i.test(h));
+    const investigatedDateIndex = headers.findIndex(h => /investigated/i.test(h));
+    const repairedDateIndex = headers.findIndex(h => /repaired/i.test(h));
+    const extentIndex = headers.findIndex(h => /extent|fraction/i.test(h));
+    const elementTypeIndex = headers.findIndex(h => /element/i.test(h));
+    const hazardBandIndex = headers.findIndex(h => /band/i.test(h));
+    const hazardIndex = headers.findIndex(h => /hazard/i.test(h) && !/band/i.test(h));
+    const disputedIndexes = Object.entries(DISPUTED_DATE_HEADERS)
+        .map(([field, pattern]) => [field, headers.findIndex(h => pattern.test(h))])
+        .filter(([, index]) => index >= 0);
+    
+    // Read the dates from each data row
+    const rows = [];
     for (let i = 1; i < lines.length; i++) {
         if (!lines[i].trim()) continue; // Skip empty lines
         
@@ -75,19 +108,59 @@ function validateCsvStructure(csvContent) {
             throw new Error(`Row ${i+1} has an incorrect number of fields`);
         }
         
-        // Get indices for date fields
-        const startDateIndex = headers.findIndex(h => /start.*date|date.*start/i.test(h));
-        const endDateIndex = headers.findIndex(h => /end.*date|date.*end/i.test(h));
+        rows.push({
+            rowNumber: i + 1,
+            values,
+            period: {
+                startDate: values[startDateIndex].trim(),
+                endDate: values[endDateIndex].trim(),
+                reportedDate: reportedDateIndex >= 0 ? values[reportedDateIndex].trim() : undefined,
+                investigatedDate: investigatedDateIndex >= 0 ? values[investigatedDateIndex].trim() : undefined,
+                repairedDate: repairedDateIndex >= 0 ? values[repairedDateIndex].trim() : undefined,
+                ...Object.fromEntries(disputedIndexes.map(([field, index]) => [field, values[index].trim()]))
+            }
+        });
+    }
+    
+    // With "auto", the format is detected from every row together
+    const { dateFormat: rowDateFormat } = resolveInputDateFormat(rows.map(row => row.period), [], dateFormat);
+    
+    // Validate each data row against the same as-of date as JSON input
+    const resolvedAsOfDate = resolveAsOfDate(asOfDate, rowDateFormat);
+    rows.forEach(({ rowNumber, values, period }) => {
+        // Check the dates with the same parser the API uses (a blank or "ongoing" end date means not yet repaired)
+        const dateErrors = window.dateParser.validatePeriodDates([period], rowDateFormat, resolvedAsOfDate);
         
-        // Validate date formats if indices were found
-        if (startDateIndex >= 0 && !isValidDate(values[startDateIndex].trim())) {
-            throw new Error(`Row ${i+1} has an invalid start date format. Use DD/MM/YYYY format.`);
+        if (dateErrors.length > 0) {
+            throw new Error(`Row ${rowNumber}: ${dateErrors.map(error => error.message).join('; ')}`);
         }
         
-        if (endDateIndex >= 0 && !isValidDate(values[endDateIndex].trim())) {
-            throw new Error(`Row ${i+1} has an invalid end date format. Use DD/MM/YYYY format.`);
+        // Severity is optional, but must be a known level when given
+        const severity = severityIndex >= 0 ? values[severityIndex].trim() : '';
+        if (severity && !window.periodTypes.SEVERITY_LEVELS.includes(severity)) {
+            throw new Error(`Row ${rowNumber} has an unknown severity "${severity}". Use one of: ${window.periodTypes.SEVERITY_LEVELS.join(', ')}`);
         }
-    }
+        
+        // Extent is optional, but must be a fraction of the room when given
+        const extent = extentIndex >= 0 ? values[extentIndex].trim() : '';
+        if (extent && !isValidExtent(Number(extent))) {
+            throw new Error(`Row ${rowNumber} has an extent of "${extent}". Use a number greater than 0 and no more than 1`);
+        }
+        
+        // Element type is optional (a blank one means a room)
+        const elementType = elementTypeIndex >= 0 ? values[elementTypeIndex].trim() : '';
+        if (elementType && !window.periodTypes.ELEMENT_TYPES.includes(elementType)) {
+            throw new Error(`Row ${rowNumber} has an unknown element type "${elementType}". Use one of: ${window.periodTypes.ELEMENT_TYPES.join(', ')}`);
+        }
+        
+        // The HHSRS hazard and its band are optional, but must be from the fixed lists when given
+        const hazard = hazardIndex >= 0 ? values[hazardIndex].trim() : '';
+        const hazardBand = hazardBandIndex >= 0 ? values[hazardBandIndex].trim() : '';
+        const hazardError = checkHazard(hazard, hazardBand);
+        if (hazardError) {
+            throw new Error(`Row ${rowNumber} ${hazardError}`);
+        }
+    });
     
     return true;
 }
@@ -95,10 +168,11 @@ function validateCsvStructure(csvContent) {
 /**
  * Function to validate JSON structure
  * @param {string} jsonContent - The JSON content to validate
+ * @param {string} dateFormat - Format the dates are in (defaults to the format selected on the page)
  * @returns {boolean} True if valid
  * @throws {Error} If validation fails
  */
-function validateJsonStructure(jsonContent) {
+function validateJsonStructure(jsonContent, dateFormat = getSelectedDateFormat()) {
     let jsonData;
     
     try {
@@ -124,6 +198,92 @@ function validateJsonStructure(jsonContent) {
         throw new Error('The "periods" array must have at least one item');
     }
     
+    const { dateFormat: resolvedFormat } = resolveJsonDateFormat(jsonData, dateFormat);
+    
+    if (jsonData.asOfDate !== undefined && !isValidDate(String(jsonData.asOfDate), resolvedFormat)) {
+        throw new Error('The "asOfDate" must be a valid date');
+    }
+    
+    if (jsonData.claimIssueDate !== undefined && !isValidDate(String(jsonData.claimIssueDate), resolvedFormat)) {
+        throw new Error('The "claimIssueDate" must be a valid date');
+    }
+    
+    if (jsonData.tenancyStartDate !== undefined && !isValidDate(String(jsonData.tenancyStartDate), resolvedFormat)) {
+        throw new Error('The "tenancyStartDate" must be a valid date');
+    }
+    
+    if (jsonData.tenancyEndDate !== undefined && !isValidDate(String(jsonData.tenancyEndDate), resolvedFormat)) {
+        throw new Error('The "tenancyEndDate" must be a valid date');
+    }
+    
+    // Each occupier's share is worked out over their own tenancy
+    if (jsonData.occupiers !== undefined) {
+        if (!Array.isArray(jsonData.occupiers) || jsonData.occupiers.length === 0) {
+            throw new Error('The "occupiers" property must be a non-empty array');
+        }
+        
+        jsonData.occupiers.forEach((occupier, i) => {
+            if (!occupier || typeof occupier.name !== 'string' || !occupier.name.trim()) {
+                throw new Error(`Occupier at index ${i} must have a name`);
+            }
+            
+            if (!isValidDate(String(occupier.tenancyStartDate), resolvedFormat)) {
+                throw new Error(`Occupier "${occupier.name}" must have a valid tenancyStartDate`);
+            }
+            
+            if (occupier.tenancyEndDate !== undefined && !isValidDate(String(occupier.tenancyEndDate), resolvedFormat)) {
+                throw new Error(`Occupier "${occupier.name}" has an invalid tenancyEndDate`);
+            }
+        });
+    }
+    
+    if (jsonData.socialHousing !== undefined && typeof jsonData.socialHousing !== 'boolean') {
+        throw new Error('The "socialHousing" must be true or false');
+    }
+    
+    if (jsonData.wholePropertyRule !== undefined && !window.periodTypes.WHOLE_PROPERTY_RULES.includes(jsonData.wholePropertyRule)) {
+        throw new Error(`The "wholePropertyRule" must be one of: ${window.periodTypes.WHOLE_PROPERTY_RULES.join(', ')}`);
+    }
+    
+    if (jsonData.limitationYears !== undefined &&
+        (!Number.isInteger(jsonData.limitationYears) || jsonData.limitationYears <= 0)) {
+        throw new Error('The "limitationYears" must be a positive whole number');
+    }
+    
+    if (jsonData.exclusions !== undefined) {
+        if (!Array.isArray(jsonData.exclusions)) {
+            throw new Error('The "exclusions" property must be an array');
+        }
+        
+        jsonData.exclusions.forEach((exclusion, i) => {
+            if (!exclusion || !isValidDate(String(exclusion.startDate), resolvedFormat) ||
+                !isValidDate(String(exclusion.endDate), resolvedFormat)) {
+                throw new Error(`Exclusion at index ${i} must have a valid startDate and endDate`);
+            }
+        });
+    }
+    
+    if (jsonData.interest !== undefined) {
+        const { rate, rateSchedule, calculationDate } = jsonData.interest || {};
+        
+        if (rate === undefined && !Array.isArray(rateSchedule)) {
+            throw new Error('The "interest" must have a rate or a rateSchedule');
+        }
+        
+        if (calculationDate !== undefined && !isValidDate(String(calculationDate), resolvedFormat)) {
+            throw new Error('The interest "calculationDate" must be a valid date');
+        }
+        
+        (rateSchedule || []).forEach((entry, i) => {
+            if (!entry || !isValidDate(String(entry.effectiveFrom), resolvedFormat)) {
+                throw new Error(`Interest rate at index ${i} must have a valid effectiveFrom date`);
+            }
+        });
+    }
+    
+    // Custom severity levels can be defined alongside the periods
+    const severityLevels = [...new Set([...window.periodTypes.SEVERITY_LEVELS, ...Object.keys(jsonData.severityWeights || {})])];
+    
     // Validate each period
     for (let i = 0; i < jsonData.periods.length; i++) {
         const period = jsonData.periods[i];
@@ -136,47 +296,226 @@ function validateJsonStructure(jsonContent) {
             throw new Error(`Period at index ${i} is missing startDate`);
         }
         
-        if (!period.endDate) {
-            throw new Error(`Period at index ${i} is missing endDate`);
+        if (period.severity && !severityLevels.includes(period.severity)) {
+            throw new Error(`Period at index ${i} has an unknown severity "${period.severity}". Use one of: ${severityLevels.join(', ')}`);
+        }
+        
+        if (period.extent !== undefined && !isValidExtent(period.extent)) {
+            throw new Error(`Period at index ${i} has an extent of "${period.extent}". Use a number greater than 0 and no more than 1`);
         }
         
-        // Validate date formats
-        if (!isValidDate(period.startDate)) {
-            throw new Error(`Period at index ${i} has an invalid startDate format. Use DD/MM/YYYY format.`);
+        if (period.emergency !== undefined && typeof period.emergency !== 'boolean') {
+            throw new Error(`Period at index ${i} has an emergency of "${period.emergency}". Use true or false`);
         }
         
-        if (!isValidDate(period.endDate)) {
-            throw new Error(`Period at index ${i} has an invalid endDate format. Use DD/MM/YYYY format.`);
+        if (period.elementType && !window.periodTypes.ELEMENT_TYPES.includes(period.elementType)) {
+            throw new Error(`Period at index ${i} has an unknown elementType "${period.elementType}". Use one of: ${window.periodTypes.ELEMENT_TYPES.join(', ')}`);
         }
+        
+        const hazardError = checkHazard(period.hazard || '', period.hazardBand || '');
+        if (hazardError) {
+            throw new Error(`Period at index ${i} ${hazardError}`);
+        }
+    }
+    
+    // Check every period's dates with the same parser the API uses, reporting all problems at once
+    const asOfDate = resolveAsOfDate(jsonData.asOfDate, resolvedFormat);
+    const dateErrors = window.dateParser.validatePeriodDates(jsonData.periods, resolvedFormat, asOfDate);
+    if (dateErrors.length > 0) {
+        throw new Error(dateErrors.map(error => `Period at index ${error.index}: ${error.message}`).join('; '));
     }
     
     return true;
 }
 
 /**
- * Helper function to validate date format (DD/MM/YYYY)
+ * Helper function to validate a date (DD/MM/YYYY, or YYYY-MM-DD, by default)
+ * Uses the shared parser, so impossible dates such as 31/02/2025 are rejected
  * @param {string} dateStr - The date string to validate
+ * @param {string} dateFormat - Format the date is in (see window.dateParser.parseDate)
  * @returns {boolean} True if valid
  */
-function isValidDate(dateStr) {
-    // Accept UK format (DD/MM/YYYY)
-    const datePattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
-    
-    const match = dateStr.trim().match(datePattern);
-    if (!match) {
+function isValidDate(dateStr, dateFormat = 'uk') {
+    return !window.dateParser.parseDate(dateStr, dateFormat).error;
+}
+
+/**
+ * Check whether JSON input holds named schedules to compare rather than a single set of periods
+ * @param {string} jsonContent - The JSON content to check
+ * @returns {boolean} True if the JSON is an object with a scenarios array
+ */
+function isComparisonInput(jsonContent) {
+    try {
+        const jsonData = JSON.parse(jsonContent);
+        return Boolean(jsonData) && !Array.isArray(jsonData) && Array.isArray(jsonData.scenarios);
+    } catch (e) {
         return false;
     }
+}
+
+/**
+ * Function to validate JSON with named schedules to compare
+ * Each scenario is checked as if it were JSON input on its own, with the
+ * settings outside the scenarios array applying to every scenario.
+ * @param {string} jsonContent - The JSON content to validate
+ * @param {string} dateFormat - Format the dates are in (defaults to the format selected on the page)
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+function validateComparisonStructure(jsonContent, dateFormat = getSelectedDateFormat()) {
+    let jsonData;
+    
+    try {
+        jsonData = JSON.parse(jsonContent);
+    } catch (e) {
+        throw new Error(`Invalid JSON syntax: ${e.message}`);
+    }
+    
+    const { scenarios, ...shared } = jsonData || {};
+    
+    if (!Array.isArray(scenarios) || scenarios.length < 2) {
+        throw new Error('The "scenarios" array must have at least two schedules to compare');
+    }
+    
+    const names = new Set();
+    
+    scenarios.forEach((scenario, i) => {
+        if (!scenario || typeof scenario.name !== 'string' || !scenario.name.trim()) {
+            throw new Error(`Scenario at index ${i} must have a name`);
+        }
+        
+        if (names.has(scenario.name)) {
+            throw new Error(`Scenario "${scenario.name}" is listed more than once`);
+        }
+        
+        names.add(scenario.name);
+        
+        try {
+            validateJsonStructure(JSON.stringify({ ...shared, ...scenario }), dateFormat);
+        } catch (error) {
+            throw new Error(`Scenario "${scenario.name}": ${error.message}`);
+        }
+    });
+    
+    return true;
+}
+
+/**
+ * Helper function to work out the date ongoing periods are counted up to, as the API does
+ * @param {string} asOfDate - As-of date in the input's format, if one is given
+ * @param {string} dateFormat - Format the date is in
+ * @returns {string} The as-of date in YYYY-MM-DD format (today in the UK if none is given)
+ */
+function resolveAsOfDate(asOfDate, dateFormat) {
+    return asOfDate !== undefined
+        ? window.dateParser.parseDate(String(asOfDate), dateFormat).date
+        : window.dateParser.todayInUk();
+}
+
+/**
+ * Helper function to check an HHSRS hazard and band against the fixed lists
+ * @param {string} hazard - Hazard identifier, such as "damp-and-mould" (blank if none)
+ * @param {string} hazardBand - Band from A to J (blank if none, and either case)
+ * @returns {string|null} What is wrong, or null if valid
+ */
+function checkHazard(hazard, hazardBand) {
+    const { HAZARD_IDS, HAZARD_BANDS } = window.hhsrs;
+    
+    if (hazard && !HAZARD_IDS.includes(hazard)) {
+        return `has an unknown hazard "${hazard}". Use one of: ${HAZARD_IDS.join(', ')}`;
+    }
+    
+    if (hazardBand && (!hazard || !HAZARD_BANDS.includes(String(hazardBand).toUpperCase()))) {
+        return `has a hazard band of "${hazardBand}". Use one of ${HAZARD_BANDS.join(', ')} with a hazard`;
+    }
     
-    // Extract day, month, year
-    const day = parseInt(match[1], 10);
-    const month = parseInt(match[2], 10) - 1; // JS months are 0-indexed
-    const year = parseInt(match[3], 10);
+    return null;
+}
+
+/**
+ * Helper function to validate the extent (fraction of a room affected) of a period
+ * @param {*} extent - The extent to validate
+ * @returns {boolean} True if a number greater than 0 and no more than 1
+ */
+function isValidExtent(extent) {
+    return typeof extent === 'number' && extent > 0 && extent <= 1;
+}
+
+/**
+ * Get the date format selected on the page
+ * @returns {string} One of window.dateParser.DATE_FORMATS
+ */
+function getSelectedDateFormat() {
+    const select = document.getElementById('dateFormat');
+    return select && select.value ? select.value : 'uk';
+}
+
+/**
+ * Work out which format to read the input dates in
+ * @param {Array} periods - Periods with startDate, endDate and optionally reportedDate, disputed date ranges,
+ *   investigatedDate and repairedDate
+ * @param {Array} otherDates - Any other dates in the input
+ * @param {string} dateFormat - Declared format, or "auto" to detect it
+ * @returns {Object} { dateFormat, detected, warning } from window.dateParser.resolveDateFormat
+ * @throws {Error} If "auto" finds dates in more than one format
+ */
+function resolveInputDateFormat(periods, otherDates, dateFormat) {
+    if (!window.dateParser.DATE_FORMATS.includes(dateFormat)) {
+        throw new Error(`Unknown date format "${dateFormat}". Use one of: ${window.dateParser.DATE_FORMATS.join(', ')}`);
+    }
+    
+    const dates = periods.flatMap(period => [
+        period.startDate,
+        window.dateParser.isOngoingEndDate(period.endDate) ? undefined : period.endDate,
+        period.reportedDate,
+        ...window.dateParser.DISPUTED_DATE_FIELDS.map(field => period[field]),
+        ...window.dateParser.HAZARD_DATE_FIELDS.map(field => period[field])
+    ]);
+    
+    const resolved = window.dateParser.resolveDateFormat(
+        [...dates, ...otherDates].filter(date => date !== undefined && date !== null && date !== ''),
+        dateFormat
+    );
+    
+    if (resolved.error) {
+        throw new Error(resolved.error);
+    }
+    
+    return resolved;
+}
+
+/**
+ * Work out which format to read the dates in JSON input in
+ * A dateFormat in the JSON takes priority over the one selected on the page.
+ * @param {Object} jsonData - Parsed JSON input with a periods array
+ * @param {string} dateFormat - Format selected on the page
+ * @returns {Object} { dateFormat, detected, warning } from window.dateParser.resolveDateFormat
+ * @throws {Error} If "auto" finds dates in more than one format
+ */
+function resolveJsonDateFormat(jsonData, dateFormat = getSelectedDateFormat()) {
+    const exclusionDates = Array.isArray(jsonData.exclusions)
+        ? jsonData.exclusions.flatMap(exclusion => exclusion ? [exclusion.startDate, exclusion.endDate] : [])
+        : [];
+    const rentDates = Array.isArray(jsonData.rentSchedule)
+        ? jsonData.rentSchedule.map(rent => rent && rent.effectiveFrom)
+        : [];
+    const occupierDates = Array.isArray(jsonData.occupiers)
+        ? jsonData.occupiers.flatMap(occupier => occupier ? [occupier.tenancyStartDate, occupier.tenancyEndDate] : [])
+        : [];
+    const interest = jsonData.interest || {};
+    const interestDates = [
+        interest.calculationDate,
+        ...(Array.isArray(interest.rateSchedule) ? interest.rateSchedule.map(entry => entry && entry.effectiveFrom) : [])
+    ];
     
-    // Create date and check if valid
-    const date = new Date(year, month, day);
-    return date.getDate() === day && 
-           date.getMonth() === month && 
-           date.getFullYear() === year;
+    return resolveInputDateFormat(
+        jsonData.periods,
+        [
+            jsonData.asOfDate, jsonData.claimIssueDate, jsonData.tenancyStartDate, jsonData.tenancyEndDate,
+            ...occupierDates, ...exclusionDates, ...rentDates, ...interestDates
+        ],
+        jsonData.dateFormat || dateFormat
+    );
 }
 
 // Export functions to global scope
@@ -184,5 +523,16 @@ window.validation = {
     validateInputData,
     validateCsvStructure,
     validateJsonStructure,
-    isValidDate
+    validateComparisonStructure,
+    isComparisonInput,
+    isValidDate,
+    isValidExtent,
+    getSelectedDateFormat,
+    resolveInputDateFormat,
+    resolveJsonDateFormat,
+    isOngoingEndDate: window.dateParser.isOngoingEndDate,
+    DISPUTED_DATE_HEADERS,
+    SEVERITY_LEVELS: window.periodTypes.SEVERITY_LEVELS,
+    ELEMENT_TYPES: window.periodTypes.ELEMENT_TYPES,
+    WHOLE_PROPERTY_RULES: window.periodTypes.WHOLE_PROPERTY_RULES
 };
\ No newline at end of file
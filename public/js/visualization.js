@@ -5,17 +5,18 @@
 
 // Define the visualization object at the top of the file
 window.visualization = {
-    displayResults: function(results, totalRooms) {
+    displayResults: function(results, totalRooms, damages, units) {
         const resultsBody = document.getElementById('resultsBody');
         resultsBody.innerHTML = '';
         
+        // Only show the damages columns when the API calculated damages
+        document.getElementById('resultsTable').classList.toggle('show-damages', Boolean(damages));
+        
         if (!results || results.length === 0) {
             showMessage('No valid results returned');
             return;
         }
         
-        let totalWeeks = 0;
-        
         results.forEach(result => {
             const row = document.createElement('tr');
             
@@ -23,8 +24,22 @@ window.visualization = {
             roomCountCell.textContent = 
                 `${result.roomCount} room${result.roomCount !== 1 ? 's' : ''}`;
             
+            // Show the weighted figure when severities or partial extents were given
+            if (result.effectiveRoomsAffected !== undefined) {
+                roomCountCell.textContent += ` (${result.effectiveRoomsAffected} effective)`;
+            }
+            
             const weeksCell = document.createElement('td');
-            weeksCell.textContent = `${result.weeksInDisrepair} weeks`;
+            weeksCell.textContent = this.formatDuration(result, units);
+            weeksCell.title = `${result.days} days`;
+            
+            // With disputed dates, show the best and worst case alongside the central figure
+            if (result.minDays !== undefined) {
+                const min = this.formatDuration({ weeksInDisrepair: result.minWeeksInDisrepair, duration: result.minDuration }, units);
+                const max = this.formatDuration({ weeksInDisrepair: result.maxWeeksInDisrepair, duration: result.maxDuration }, units);
+                weeksCell.textContent += ` (${min} to ${max})`;
+                weeksCell.title += ` (between ${result.minDays} and ${result.maxDays} days on the disputed dates)`;
+            }
             
             // Calculate percentage for display if not provided by API
             const percentageCell = document.createElement('td');
@@ -32,11 +47,38 @@ window.visualization = {
                               ((result.roomCount / totalRooms) * 100).toFixed(1);
             percentageCell.textContent = `${percentage}%`;
             
-            totalWeeks += parseFloat(result.weeksInDisrepair);
-            
             row.appendChild(roomCountCell);
             row.appendChild(weeksCell);
             row.appendChild(percentageCell);
+            
+            // Add the damages line for this room count
+            const damagesLine = damages?.lines.find(line => line.roomCount === result.roomCount);
+            
+            const abatementCell = document.createElement('td');
+            abatementCell.className = 'damages-column';
+            
+            const damagesCell = document.createElement('td');
+            damagesCell.className = 'damages-column';
+            
+            // A band only reached on the disputed dates may have no abatement figure
+            if (damagesLine && (damagesLine.abatementPercentage === null || damagesLine.abatementPercentage === undefined)) {
+                abatementCell.textContent = '-';
+                damagesCell.textContent = this.formatCurrency(damagesLine.damages);
+            } else if (damagesLine && damagesLine.rents) {
+                // Rent schedule: list the weeks charged at each rent
+                abatementCell.textContent = `${damagesLine.abatementPercentage}% of rent`;
+                abatementCell.title = damagesLine.rents
+                    .map(rent => `${rent.weeksInDisrepair} weeks at ${this.formatCurrency(rent.weeklyRent)}/week`)
+                    .join('\n');
+                damagesCell.textContent = this.formatCurrency(damagesLine.damages);
+            } else if (damagesLine) {
+                abatementCell.textContent = 
+                    `${damagesLine.abatementPercentage}% (${this.formatCurrency(damagesLine.weeklyAbatement)}/week)`;
+                damagesCell.textContent = this.formatCurrency(damagesLine.damages);
+            }
+            
+            row.appendChild(abatementCell);
+            row.appendChild(damagesCell);
             resultsBody.appendChild(row);
         });
         
@@ -49,10 +91,10 @@ window.visualization = {
         
         const summaryValueCell = document.createElement('td');
         
-        // Calculate a weighted score (more rooms = worse disrepair)
+        // Calculate a weighted score (more rooms = worse disrepair) from the exact days, not the rounded weeks
         let weightedScore = 0;
         results.forEach(result => {
-            weightedScore += result.roomCount * result.weeksInDisrepair;
+            weightedScore += result.roomCount * result.days / 7;
         });
         
         summaryValueCell.textContent = `${weightedScore.toFixed(1)} room-weeks`;
@@ -65,15 +107,27 @@ window.visualization = {
         results.forEach(result => {
             const percentage = result.percentageOfProperty || 
                               ((result.roomCount / totalRooms) * 100);
-            totalPercentageImpact += percentage * result.weeksInDisrepair;
+            totalPercentageImpact += percentage * result.days;
         });
         
-        const averagePercentageImpact = totalPercentageImpact / totalWeeks;
+        const totalDays = results.reduce((sum, result) => sum + result.days, 0);
+        const averagePercentageImpact = totalDays > 0 ? totalPercentageImpact / totalDays : 0;
         summaryPercentageCell.textContent = `${averagePercentageImpact.toFixed(1)}% avg.`;
         
+        // Add the grand total of damages
+        const summaryAbatementCell = document.createElement('td');
+        summaryAbatementCell.className = 'damages-column';
+        summaryAbatementCell.textContent = damages ? 'Total Damages:' : '';
+        
+        const summaryDamagesCell = document.createElement('td');
+        summaryDamagesCell.className = 'damages-column';
+        summaryDamagesCell.textContent = damages ? this.formatCurrency(damages.total) : '';
+        
         summaryRow.appendChild(summaryLabelCell);
         summaryRow.appendChild(summaryValueCell);
         summaryRow.appendChild(summaryPercentageCell);
+        summaryRow.appendChild(summaryAbatementCell);
+        summaryRow.appendChild(summaryDamagesCell);
         resultsBody.appendChild(summaryRow);
         
         document.getElementById('resultsContainer').style.display = 'block';
@@ -82,113 +136,570 @@ window.visualization = {
         showMessage('Analysis completed successfully', 'success');
     },
     
-    displayCalculationBreakdown: function(originalPeriods, results) {
-        // Show the container
-        document.getElementById('calculationBreakdownContainer').style.display = 'block';
+    displayAwaabsLaw: function(awaabsLaw) {
+        const container = document.getElementById('awaabsLawContainer');
+        const tbody = document.getElementById('awaabsLawBody');
+        tbody.innerHTML = '';
         
-        // Process the periods to ensure dates are Date objects
-        const processedPeriods = originalPeriods.map(period => {
-            let startDate, endDate;
+        if (!awaabsLaw || awaabsLaw.periods.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const statuses = {
+            'on-time': 'On time',
+            late: 'Late',
+            pending: 'Not yet due',
+            overdue: 'Overdue'
+        };
+        
+        const addRow = (values, breached) => {
+            const row = document.createElement('tr');
             
-            // Better date parsing for DD/MM/YYYY format
-            if (typeof period.startDate === 'string' && period.startDate.includes('/')) {
-                const [day, month, year] = period.startDate.split('/').map(Number);
-                startDate = new Date(year, month - 1, day); // Month is 0-indexed in JavaScript
-            } else {
-                startDate = new Date(period.startDate);
+            if (breached) {
+                row.className = 'deadline-breached';
             }
             
-            if (typeof period.endDate === 'string' && period.endDate.includes('/')) {
-                const [day, month, year] = period.endDate.split('/').map(Number);
-                endDate = new Date(year, month - 1, day);
-            } else {
-                endDate = new Date(period.endDate);
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        };
+        
+        // A row for each stage of each reported period, with the days late for any breach
+        awaabsLaw.periods.forEach(period => {
+            const hazard = `${period.roomName} (${period.defectType}${period.emergency ? ', emergency' : ''})`;
+            
+            if (!period.inForce) {
+                addRow([hazard, this.formatApiDate(period.reportedDate), 'Reported before Awaab\'s Law applied', '', '', '', ''], false);
+                return;
             }
             
-            return {
-                roomName: period.roomName,
-                startDate: startDate,
-                endDate: endDate
-            };
+            period.stages.forEach(stage => {
+                addRow([
+                    hazard,
+                    this.formatApiDate(period.reportedDate),
+                    stage.stage === 'investigation' ? 'Investigation' : 'Repair',
+                    this.formatApiDate(stage.deadline),
+                    stage.completedDate ? this.formatApiDate(stage.completedDate) : 'Not done',
+                    statuses[stage.status] || stage.status,
+                    stage.daysLate > 0 ? `${stage.daysLate} day${stage.daysLate !== 1 ? 's' : ''}` : ''
+                ], stage.breached);
+            });
         });
         
-        // Find overall date range
-        const minDate = new Date(Math.min(...processedPeriods.map(p => p.startDate.getTime())));
-        const maxDate = new Date(Math.max(...processedPeriods.map(p => p.endDate.getTime())));
+        document.getElementById('awaabsLawSummary').textContent = awaabsLaw.breaches > 0
+            ? `${awaabsLaw.breaches} deadline${awaabsLaw.breaches !== 1 ? 's were' : ' was'} missed (outstanding stages are measured up to ${this.formatApiDate(awaabsLaw.asOfDate)}).`
+            : `No deadlines were missed (outstanding stages are measured up to ${this.formatApiDate(awaabsLaw.asOfDate)}).`;
         
-        // Create a day-by-day timeline
-        const timeline = [];
-        const currentDate = new Date(minDate);
+        container.style.display = 'block';
+    },
+    
+    displayLiability: function(liability) {
+        const container = document.getElementById('liabilityContainer');
+        const tbody = document.getElementById('liabilityBody');
+        tbody.innerHTML = '';
         
-        while (currentDate <= maxDate) {
-            const date = new Date(currentDate);
+        if (!liability || liability.periods.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        // Show the original and liable dates side by side
+        liability.periods.forEach(period => {
+            const row = document.createElement('tr');
             
-            // Find which rooms are in disrepair on this day
-            const roomsInDisrepair = processedPeriods
-                .filter(p => date >= p.startDate && date <= p.endDate)
-                .map(p => p.roomName);
+            const cells = [
+                period.roomName,
+                `${this.formatApiDate(period.startDate)} to ${this.formatApiDate(period.endDate)}`,
+                this.formatApiDate(period.reportedDate),
+                `${period.reasonableRepairDays} days${period.defectType ? ` (${period.defectType})` : ''}`,
+                period.liableFrom ? this.formatApiDate(period.liableFrom) : 'Not liable (repaired in time)',
+                period.nonLiableDays
+            ];
             
-            timeline.push({
-                date: date,
-                roomCount: roomsInDisrepair.length,
-                rooms: roomsInDisrepair
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
             });
             
-            currentDate.setDate(currentDate.getDate() + 1);
+            tbody.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    displayBuckets: function(buckets, units) {
+        const container = document.getElementById('bucketsContainer');
+        const tbody = document.getElementById('bucketsBody');
+        tbody.innerHTML = '';
+        
+        if (!buckets || buckets.length === 0) {
+            container.style.display = 'none';
+            return;
         }
         
-        // Group consecutive days with the same room count
-        const groupedPeriods = [];
-        let currentGroup = null;
+        const addRow = (className, values) => {
+            const row = document.createElement('tr');
+            row.className = className;
+            
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        };
         
-        timeline.forEach(day => {
-            if (!currentGroup || currentGroup.roomCount !== day.roomCount) {
-                if (currentGroup) {
-                    groupedPeriods.push(currentGroup);
-                }
+        // Each bucket gets a heading row, a row per room-count band and a subtotal
+        buckets.forEach(bucket => {
+            addRow('bucket-header', [
+                bucket.bucket,
+                `${this.formatApiDate(bucket.startDate)} to ${this.formatApiDate(bucket.endDate)}`,
+                '',
+                ''
+            ]);
+            
+            bucket.results.forEach(result => {
+                const effective = result.effectiveRoomsAffected !== undefined
+                    ? ` (${result.effectiveRoomsAffected} effective)`
+                    : '';
+                
+                addRow('', [
+                    '',
+                    `${result.roomCount} room${result.roomCount !== 1 ? 's' : ''}${effective}`,
+                    this.formatDuration(result, units),
+                    `${result.percentageOfProperty}%`
+                ]);
+            });
+            
+            addRow('bucket-subtotal', [`${bucket.bucket} subtotal`, '', this.formatDuration(bucket, units), '']);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    displayInterest: function(interest) {
+        const container = document.getElementById('interestContainer');
+        const tbody = document.getElementById('interestBody');
+        tbody.innerHTML = '';
+        
+        if (!interest) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const rateText = interest.rateSchedule
+            ? interest.rateSchedule.map(entry => `${entry.rate}% from ${this.formatApiDate(entry.effectiveFrom)}`).join(', ')
+            : `${interest.rate}% a year`;
+        document.getElementById('interestSummary').textContent =
+            `Simple interest at ${rateText}, from the ${interest.from} of each period to ${this.formatApiDate(interest.calculationDate)}:`;
+        
+        const addRow = (values, bold = false) => {
+            const row = document.createElement('tr');
+            row.style.fontWeight = bold ? 'bold' : '';
+            
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        };
+        
+        interest.periods.forEach(period => {
+            addRow([
+                `${this.formatApiDate(period.startDate)} to ${this.formatApiDate(period.endDate)}`,
+                this.formatCurrency(period.principal),
+                this.formatApiDate(period.interestFrom),
+                period.days,
+                this.formatCurrency(period.interest)
+            ]);
+        });
+        
+        // Principal, interest and the two together
+        addRow(['Total', this.formatCurrency(interest.principal), '', '', this.formatCurrency(interest.interest)], true);
+        addRow(['Damages with interest', '', '', '', this.formatCurrency(interest.total)], true);
+        
+        container.style.display = 'block';
+    },
+    
+    displayMerges: function(merges) {
+        const container = document.getElementById('mergesContainer');
+        const tbody = document.getElementById('mergesBody');
+        tbody.innerHTML = '';
+        
+        if (!merges || merges.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        merges.forEach(merge => {
+            const row = document.createElement('tr');
+            
+            const roomCell = document.createElement('td');
+            roomCell.textContent = merge.roomName;
+            
+            // Show each original entry with its row number in the input
+            const entriesCell = document.createElement('td');
+            entriesCell.textContent = merge.mergedPeriods
+                .map(period => `#${period.index + 1}: ${this.formatApiDate(period.startDate)} to ${this.formatApiDate(period.endDate)}`)
+                .join('; ');
+            
+            const combinedCell = document.createElement('td');
+            combinedCell.textContent = `${this.formatApiDate(merge.startDate)} to ${this.formatApiDate(merge.endDate)}`;
+            
+            row.appendChild(roomCell);
+            row.appendChild(entriesCell);
+            row.appendChild(combinedCell);
+            tbody.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    displayElements: function(elements, units) {
+        const container = document.getElementById('elementsContainer');
+        const tbody = document.getElementById('elementsBody');
+        tbody.innerHTML = '';
+        
+        if (!elements || elements.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        elements.forEach(element => {
+            const row = document.createElement('tr');
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = element.roomName;
+            
+            const typeCell = document.createElement('td');
+            typeCell.textContent = this.describeElementType(element.elementType);
+            
+            const durationCell = document.createElement('td');
+            durationCell.textContent = this.formatDuration(element, units);
+            durationCell.title = `${element.days} days`;
+            
+            const datesCell = document.createElement('td');
+            datesCell.textContent = `${this.formatApiDate(element.firstAffectedDate)} to ${this.formatApiDate(element.lastAffectedDate)}`;
+            
+            row.appendChild(nameCell);
+            row.appendChild(typeCell);
+            row.appendChild(durationCell);
+            row.appendChild(datesCell);
+            tbody.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    displayHazards: function(hazards, units) {
+        const container = document.getElementById('hazardsContainer');
+        const tbody = document.getElementById('hazardsBody');
+        tbody.innerHTML = '';
+        
+        if (!hazards || hazards.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        hazards.forEach(hazard => {
+            const row = document.createElement('tr');
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = `${hazard.number}. ${hazard.name}`;
+            
+            const bandCell = document.createElement('td');
+            bandCell.textContent = hazard.band || '-';
+            
+            const categoryCell = document.createElement('td');
+            categoryCell.textContent = hazard.category ? `Category ${hazard.category}` : '-';
+            
+            const durationCell = document.createElement('td');
+            durationCell.textContent = this.formatDuration(hazard, units);
+            durationCell.title = `${hazard.days} days`;
+            
+            const roomsCell = document.createElement('td');
+            roomsCell.textContent = hazard.rooms.join(', ') || '-';
+            
+            row.appendChild(nameCell);
+            row.appendChild(bandCell);
+            row.appendChild(categoryCell);
+            row.appendChild(durationCell);
+            row.appendChild(roomsCell);
+            tbody.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    displayOccupiers: function(occupiers, units) {
+        const container = document.getElementById('occupiersContainer');
+        const tbody = document.getElementById('occupiersBody');
+        tbody.innerHTML = '';
+        
+        if (!occupiers || occupiers.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const addRow = (className, values) => {
+            const row = document.createElement('tr');
+            row.className = className;
+            
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        };
+        
+        // Each occupier gets a heading row with their tenancy, a row per room-count band and their damages
+        occupiers.forEach(occupier => {
+            const tenancyEnd = occupier.tenancyEndDate ? this.formatApiDate(occupier.tenancyEndDate) : 'present';
+            addRow('bucket-header', [
+                occupier.name,
+                `Tenancy ${this.formatApiDate(occupier.tenancyStartDate)} to ${tenancyEnd}`,
+                '',
+                '',
+                ''
+            ]);
+            
+            if (occupier.results.length === 0) {
+                addRow('', ['', 'No disrepair during this tenancy', '', '', '']);
+            }
+            
+            occupier.results.forEach(result => {
+                const line = occupier.damages?.lines.find(entry => entry.roomCount === result.roomCount);
                 
-                currentGroup = {
-                    startDate: new Date(day.date),
-                    endDate: new Date(day.date),
-                    roomCount: day.roomCount,
-                    rooms: [...day.rooms]
-                };
-            } else {
-                currentGroup.endDate = new Date(day.date);
-                // Rooms might change even if count remains the same
-                currentGroup.rooms = [...day.rooms];
+                addRow('', [
+                    '',
+                    `${result.roomCount} room${result.roomCount !== 1 ? 's' : ''}`,
+                    this.formatDuration(result, units),
+                    `${result.percentageOfProperty}%`,
+                    line ? this.formatCurrency(line.damages) : ''
+                ]);
+            });
+            
+            if (occupier.damages) {
+                addRow('bucket-subtotal', [`${occupier.name} total`, '', '', '', this.formatCurrency(occupier.damages.total)]);
             }
         });
         
-        if (currentGroup) {
-            groupedPeriods.push(currentGroup);
+        container.style.display = 'block';
+    },
+    
+    displayComparison: function(comparison) {
+        const container = document.getElementById('comparisonContainer');
+        const names = comparison.scenarios.map(scenario => scenario.name);
+        
+        document.getElementById('comparisonSummary').textContent =
+            `Each schedule is compared with "${comparison.baseline}". Hover over a figure to see the exact number of days.`;
+        
+        // A column for each schedule, then the difference from the baseline for each of the others
+        const headings = [...names, ...names.slice(1).map(name => `${name} vs ${comparison.baseline}`)];
+        
+        this.renderComparisonTable('comparisonBandsTable', 'Rooms in Disrepair', comparison.bands,
+            band => `${band.roomCount} room${band.roomCount !== 1 ? 's' : ''}`, headings);
+        this.renderComparisonTable('comparisonRoomsTable', 'Room', comparison.rooms,
+            room => room.roomName, headings);
+        
+        // Whole-property elements and common parts are compared apart from the rooms
+        const elementsContainer = document.getElementById('comparisonElements');
+        if (comparison.elements) {
+            this.renderComparisonTable('comparisonElementsTable', 'Element', comparison.elements,
+                element => element.roomName, headings);
+            elementsContainer.style.display = 'block';
+        } else {
+            elementsContainer.style.display = 'none';
+        }
+        
+        const hazardsContainer = document.getElementById('comparisonHazards');
+        if (comparison.hazards) {
+            this.renderComparisonTable('comparisonHazardsTable', 'Hazard', comparison.hazards,
+                hazard => window.hhsrs.findHazard(hazard.hazard).name, headings);
+            hazardsContainer.style.display = 'block';
+        } else {
+            hazardsContainer.style.display = 'none';
+        }
+        
+        // Line every timeline up on the same date axis so the schedules can be compared by eye
+        const timelines = comparison.scenarios
+            .filter(scenario => scenario.breakdown.groupedPeriods.length > 0)
+            .map(scenario => ({ scenario, ...this.readTimelinePeriods(scenario.breakdown) }));
+        
+        const timelinesContainer = document.getElementById('comparisonTimelines');
+        timelinesContainer.innerHTML = '';
+        
+        // With no disrepair in any schedule there is no date axis to draw
+        if (timelines.length === 0) {
+            const message = document.createElement('p');
+            message.textContent = 'No disrepair in any schedule, so there is no timeline to show.';
+            timelinesContainer.appendChild(message);
+            container.style.display = 'block';
+            return;
+        }
+        
+        const minDate = new Date(Math.min(...timelines.map(timeline => timeline.minDate.getTime())));
+        const maxDate = new Date(Math.max(...timelines.map(timeline => timeline.maxDate.getTime())));
+        
+        timelines.forEach(({ scenario, periods, excludedPeriods, uncertainPeriods }) => {
+            const heading = document.createElement('h4');
+            heading.textContent = scenario.name;
+            
+            const timeline = document.createElement('div');
+            timeline.className = 'breakdown-timeline';
+            
+            timelinesContainer.appendChild(heading);
+            timelinesContainer.appendChild(timeline);
+            
+            this.renderVisualTimeline(periods, minDate, maxDate, scenario.asOfDate ? this.parseApiDate(scenario.asOfDate) : null,
+                excludedPeriods, uncertainPeriods, timeline);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    // Fill a comparison table with a row for each band or room and a column for each schedule
+    renderComparisonTable: function(tableId, label, rows, describe, headings) {
+        const table = document.getElementById(tableId);
+        table.innerHTML = '';
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        
+        [label, ...headings].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        
+        rows.forEach(entry => {
+            const row = document.createElement('tr');
+            
+            const labelCell = document.createElement('td');
+            labelCell.textContent = describe(entry);
+            row.appendChild(labelCell);
+            
+            entry.scenarios.forEach(figures => {
+                const cell = document.createElement('td');
+                cell.textContent = `${figures.weeksInDisrepair} weeks`;
+                cell.title = `${figures.days} days`;
+                row.appendChild(cell);
+            });
+            
+            // The baseline has nothing to be compared with
+            entry.scenarios.slice(1).forEach(figures => {
+                const cell = document.createElement('td');
+                const sign = figures.differenceInDays > 0 ? '+' : '';
+                cell.textContent = `${sign}${figures.differenceInWeeks} weeks`;
+                cell.title = `${sign}${figures.differenceInDays} days`;
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        });
+        
+        table.appendChild(tbody);
+    },
+    
+    displayCalculationBreakdown: function(breakdown, asOfDate) {
+        if (!breakdown || breakdown.groupedPeriods.length === 0) {
+            return;
         }
         
-        // Render the visual timeline
-        this.renderVisualTimeline(processedPeriods, minDate, maxDate);
+        // Show the container
+        document.getElementById('calculationBreakdownContainer').style.display = 'block';
+        
+        const { periods, excludedPeriods, uncertainPeriods, minDate, maxDate } = this.readTimelinePeriods(breakdown);
+        
+        // Render the visual timeline (ongoing periods run up to the as-of date)
+        this.renderVisualTimeline(periods, minDate, maxDate, asOfDate ? this.parseApiDate(asOfDate) : null,
+            excludedPeriods, uncertainPeriods);
         
         // Render day-by-day breakdown
-        this.renderDayByDayBreakdown(timeline);
+        this.renderDayByDayBreakdown(breakdown.timeline || []);
         
         // Render period groups breakdown
-        this.renderPeriodGroupsBreakdown(groupedPeriods);
+        this.renderPeriodGroupsBreakdown(breakdown.groupedPeriods);
+        
+        // Render what each exclusion window removed
+        this.renderExclusionsBreakdown(breakdown.exclusions || []);
+    },
+    
+    // Convert the periods in an API breakdown to Date objects for positioning on the timeline,
+    // along with the date range the timeline needs to cover
+    readTimelinePeriods: function(breakdown) {
+        const periods = breakdown.periods.map(period => ({
+            roomName: period.roomName,
+            elementType: period.elementType,
+            startDate: this.parseApiDate(period.startDate),
+            endDate: this.parseApiDate(period.endDate),
+            ongoing: period.ongoing
+        }));
+        
+        // Parts of periods that were not counted (for example, outside limitation)
+        const excludedPeriods = (breakdown.excludedPeriods || []).map(period => ({
+            roomName: period.roomName,
+            startDate: this.parseApiDate(period.startDate),
+            endDate: this.parseApiDate(period.endDate),
+            reason: period.reason
+        }));
+        
+        // Ranges a disputed start or end date could fall within
+        const uncertainPeriods = (breakdown.uncertainPeriods || []).map(period => ({
+            roomName: period.roomName,
+            startDate: this.parseApiDate(period.startDate),
+            endDate: this.parseApiDate(period.endDate),
+            edge: period.edge
+        }));
+        
+        // The grouped periods cover the counted date range in order,
+        // and excluded parts and uncertain dates can extend it either side
+        const groupedPeriods = breakdown.groupedPeriods;
+        const minDate = new Date(Math.min(
+            this.parseApiDate(groupedPeriods[0].startDate).getTime(),
+            ...excludedPeriods.map(period => period.startDate.getTime()),
+            ...uncertainPeriods.map(period => period.startDate.getTime())
+        ));
+        const maxDate = new Date(Math.max(
+            this.parseApiDate(groupedPeriods[groupedPeriods.length - 1].endDate).getTime(),
+            ...excludedPeriods.map(period => period.endDate.getTime()),
+            ...uncertainPeriods.map(period => period.endDate.getTime())
+        ));
+        
+        return { periods, excludedPeriods, uncertainPeriods, minDate, maxDate };
     },
     
     // Enhanced timeline rendering function
-    renderVisualTimeline: function(periods, minDate, maxDate) {
-        const container = document.getElementById('breakdownTimeline');
+    renderVisualTimeline: function(periods, minDate, maxDate, asOfDate = null, excludedPeriods = [], uncertainPeriods = [],
+        container = document.getElementById('breakdownTimeline')) {
         container.innerHTML = '';
         
         // Calculate total days and scale
-        const totalDays = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24)) + 1;
+        const totalDays = this.daysBetween(minDate, maxDate) + 1;
         const totalMonths = (maxDate.getFullYear() - minDate.getFullYear()) * 12 + 
                              maxDate.getMonth() - minDate.getMonth() + 1;
         const totalYears = maxDate.getFullYear() - minDate.getFullYear() + 
                            (maxDate.getMonth() >= minDate.getMonth() ? 1 : 0);
         
         console.log("Timeline parameters:", {
-            minDate: minDate.toISOString().split('T')[0],
-            maxDate: maxDate.toISOString().split('T')[0],
+            minDate: this.formatDisplayDate(minDate),
+            maxDate: this.formatDisplayDate(maxDate),
             totalDays,
             totalMonths,
             totalYears
@@ -198,20 +709,23 @@ window.visualization = {
         periods.forEach(period => {
             const timelineItem = document.createElement('div');
             timelineItem.className = 'timeline-item';
+            timelineItem.dataset.roomName = period.roomName;
             
             const label = document.createElement('div');
             label.className = 'timeline-label';
-            label.textContent = period.roomName;
+            label.textContent = period.elementType
+                ? `${period.roomName} (${this.describeElementType(period.elementType)})`
+                : period.roomName;
             
             const bar = document.createElement('div');
             bar.className = 'timeline-bar';
             
             // Calculate position and width
-            const startOffset = Math.max(0, (period.startDate - minDate) / (1000 * 60 * 60 * 24));
-            const width = (period.endDate - period.startDate) / (1000 * 60 * 60 * 24) + 1;
+            const startOffset = Math.max(0, this.daysBetween(minDate, period.startDate));
+            const width = this.daysBetween(period.startDate, period.endDate) + 1;
             
             const disrepairBar = document.createElement('div');
-            disrepairBar.className = 'disrepair-period';
+            disrepairBar.className = period.ongoing ? 'disrepair-period ongoing' : 'disrepair-period';
             disrepairBar.style.left = `${(startOffset / totalDays) * 100}%`;
             disrepairBar.style.width = `${(width / totalDays) * 100}%`;
             
@@ -219,7 +733,9 @@ window.visualization = {
             const startDateStr = this.formatDisplayDate(period.startDate);
             const endDateStr = this.formatDisplayDate(period.endDate);
             const durationWeeks = (width / 7).toFixed(1);
-            disrepairBar.title = `${period.roomName}: ${startDateStr} to ${endDateStr} (${durationWeeks} weeks)`;
+            disrepairBar.title = period.ongoing
+                ? `${period.roomName}: ${startDateStr} to ${endDateStr}, ongoing (${durationWeeks} weeks so far)`
+                : `${period.roomName}: ${startDateStr} to ${endDateStr} (${durationWeeks} weeks)`;
             
             bar.appendChild(disrepairBar);
             timelineItem.appendChild(label);
@@ -227,6 +743,38 @@ window.visualization = {
             container.appendChild(timelineItem);
         });
         
+        // Draw the excluded parts of periods on the same row as the room where possible
+        excludedPeriods.forEach(period => {
+            const timelineItem = this.getTimelineRow(container, period.roomName);
+            
+            const startOffset = Math.max(0, this.daysBetween(minDate, period.startDate));
+            const width = this.daysBetween(period.startDate, period.endDate) + 1;
+            
+            const excludedBar = document.createElement('div');
+            excludedBar.className = `disrepair-period excluded ${period.reason}`;
+            excludedBar.style.left = `${(startOffset / totalDays) * 100}%`;
+            excludedBar.style.width = `${(width / totalDays) * 100}%`;
+            excludedBar.title = `${period.roomName}: ${this.formatDisplayDate(period.startDate)} to ${this.formatDisplayDate(period.endDate)} (not counted: ${this.describeExclusion(period.reason)})`;
+            
+            timelineItem.querySelector('.timeline-bar').appendChild(excludedBar);
+        });
+        
+        // Draw the range of each disputed start or end date as a faded bar at the edge of the period
+        uncertainPeriods.forEach(period => {
+            const timelineItem = this.getTimelineRow(container, period.roomName);
+            
+            const startOffset = Math.max(0, this.daysBetween(minDate, period.startDate));
+            const width = this.daysBetween(period.startDate, period.endDate) + 1;
+            
+            const uncertainBar = document.createElement('div');
+            uncertainBar.className = `disrepair-period uncertain ${period.edge}`;
+            uncertainBar.style.left = `${(startOffset / totalDays) * 100}%`;
+            uncertainBar.style.width = `${(width / totalDays) * 100}%`;
+            uncertainBar.title = `${period.roomName}: disputed ${period.edge} date, between ${this.formatDisplayDate(period.startDate)} and ${this.formatDisplayDate(period.endDate)}`;
+            
+            timelineItem.querySelector('.timeline-bar').appendChild(uncertainBar);
+        });
+        
         // Add year separators for multi-year views
         if (totalYears > 1) {
             this.addYearSeparators(container, minDate, maxDate, totalDays);
@@ -236,13 +784,23 @@ window.visualization = {
         this.createTimelineScale(container, minDate, maxDate, totalDays, totalMonths, totalYears);
         
         // Add a timeline legend
-        this.addTimelineLegend(container);
+        this.addTimelineLegend(container, {
+            ongoing: periods.some(period => period.ongoing),
+            excluded: excludedPeriods.length > 0,
+            uncertain: uncertainPeriods.length > 0
+        });
         
         // Add today marker if the current date falls within the timeline
-        const today = new Date();
+        // (today in the UK, as used by the API for ongoing periods)
+        const today = this.parseApiDate(window.dateParser.todayInUk());
         if (today >= minDate && today <= maxDate) {
             this.addTodayMarker(container, minDate, today, totalDays);
         }
+        
+        // Mark the as-of date separately when ongoing periods were counted up to another day
+        if (asOfDate && asOfDate.getTime() !== today.getTime() && asOfDate >= minDate && asOfDate <= maxDate) {
+            this.addTodayMarker(container, minDate, asOfDate, totalDays, `As of ${this.formatDisplayDate(asOfDate)}`);
+        }
     },
 
 /**
@@ -250,8 +808,8 @@ window.visualization = {
  */
 createTimelineScale: function(container, minDate, maxDate, totalDays, totalMonths, totalYears) {
     console.log("Timeline scale parameters:", {
-        minDate: minDate.toISOString().split('T')[0],
-        maxDate: maxDate.toISOString().split('T')[0],
+        minDate: this.formatDisplayDate(minDate),
+        maxDate: this.formatDisplayDate(maxDate),
         totalDays,
         totalMonths,
         totalYears
@@ -292,7 +850,7 @@ createTimelineScale: function(container, minDate, maxDate, totalDays, totalMonth
                 // Skip if not in range
                 if (yearDate < minDate || yearDate > maxDate) continue;
                 
-                const offsetDays = Math.max(0, (yearDate - minDate) / (1000 * 60 * 60 * 24));
+                const offsetDays = Math.max(0, this.daysBetween(minDate, yearDate));
                 const position = (offsetDays / totalDays) * 100;
                 
                 const marker = document.createElement('div');
@@ -339,12 +897,12 @@ createTimelineScale: function(container, minDate, maxDate, totalDays, totalMonth
                 if (!showAllMonths && !monthsToShow.includes(month)) continue;
                 
                 // Skip January if showing year markers (to avoid duplication)
-                if (month === 0 && scaleBar.querySelector(`.year-marker[style*="left: ${(new Date(year, 0, 1) - minDate) / (1000 * 60 * 60 * 24) / totalDays * 100}%"]`)) {
+                if (month === 0 && scaleBar.querySelector(`.year-marker[style*="left: ${this.daysBetween(minDate, new Date(year, 0, 1)) / totalDays * 100}%"]`)) {
                     continue;
                 }
                 
                 const monthDate = new Date(year, month, 1);
-                const offsetDays = Math.max(0, (monthDate - minDate) / (1000 * 60 * 60 * 24));
+                const offsetDays = Math.max(0, this.daysBetween(minDate, monthDate));
                 const position = (offsetDays / totalDays) * 100;
                 
                 const marker = document.createElement('div');
@@ -391,7 +949,7 @@ createTimelineScale: function(container, minDate, maxDate, totalDays, totalMonth
         let currentDate = new Date(minDate.getFullYear(), minDate.getMonth(), startDay);
         
         while (currentDate <= maxDate) {
-            const offsetDays = Math.max(0, (currentDate - minDate) / (1000 * 60 * 60 * 24));
+            const offsetDays = Math.max(0, this.daysBetween(minDate, currentDate));
             const position = (offsetDays / totalDays) * 100;
             
             // Skip if too close to month marker (within 5% of timeline width)
@@ -483,7 +1041,7 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
         
         // Only add if this year boundary falls within our range
         if (yearStart > minDate && yearStart < maxDate) {
-            const offsetDays = (yearStart - minDate) / (1000 * 60 * 60 * 24);
+            const offsetDays = this.daysBetween(minDate, yearStart);
             const position = (offsetDays / totalDays) * 100;
             
             const separator = document.createElement('div');
@@ -493,8 +1051,9 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
         }
     }
 },
-    addTodayMarker: function(container, minDate, today, totalDays) {
-        const offsetDays = (today - minDate) / (1000 * 60 * 60 * 24);
+    addTodayMarker: function(container, minDate, today, totalDays, labelText = 'Today') {
+        // Place the marker in the middle of the day
+        const offsetDays = this.daysBetween(minDate, today) + 0.5;
         const position = (offsetDays / totalDays) * 100;
         
         const marker = document.createElement('div');
@@ -503,13 +1062,38 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
         
         const label = document.createElement('div');
         label.className = 'today-label';
-        label.textContent = 'Today';
+        label.textContent = labelText;
         marker.appendChild(label);
         
         container.appendChild(marker);
     },
 
-    addTimelineLegend: function(container) {
+    // Find the timeline row for a room, adding one if the room has no counted period
+    getTimelineRow: function(container, roomName) {
+        let timelineItem = Array.from(container.querySelectorAll('.timeline-item'))
+            .find(item => item.dataset.roomName === roomName);
+        
+        if (!timelineItem) {
+            timelineItem = document.createElement('div');
+            timelineItem.className = 'timeline-item';
+            timelineItem.dataset.roomName = roomName;
+            
+            const label = document.createElement('div');
+            label.className = 'timeline-label';
+            label.textContent = roomName;
+            
+            const bar = document.createElement('div');
+            bar.className = 'timeline-bar';
+            
+            timelineItem.appendChild(label);
+            timelineItem.appendChild(bar);
+            container.appendChild(timelineItem);
+        }
+        
+        return timelineItem;
+    },
+
+    addTimelineLegend: function(container, show = {}) {
         // First remove any existing legend
         const existingLegend = container.querySelector('.timeline-legend');
         if (existingLegend) {
@@ -533,6 +1117,54 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
         disrepairItem.appendChild(disrepairLabel);
         legend.appendChild(disrepairItem);
         
+        // Ongoing period legend item
+        if (show.ongoing) {
+            const ongoingItem = document.createElement('div');
+            ongoingItem.className = 'legend-item';
+            
+            const ongoingColor = document.createElement('div');
+            ongoingColor.className = 'legend-color ongoing';
+            
+            const ongoingLabel = document.createElement('span');
+            ongoingLabel.textContent = 'Ongoing (not yet repaired)';
+            
+            ongoingItem.appendChild(ongoingColor);
+            ongoingItem.appendChild(ongoingLabel);
+            legend.appendChild(ongoingItem);
+        }
+        
+        // Excluded period legend item
+        if (show.excluded) {
+            const excludedItem = document.createElement('div');
+            excludedItem.className = 'legend-item';
+            
+            const excludedColor = document.createElement('div');
+            excludedColor.className = 'legend-color excluded';
+            
+            const excludedLabel = document.createElement('span');
+            excludedLabel.textContent = 'Not Counted';
+            
+            excludedItem.appendChild(excludedColor);
+            excludedItem.appendChild(excludedLabel);
+            legend.appendChild(excludedItem);
+        }
+        
+        // Uncertain dates legend item
+        if (show.uncertain) {
+            const uncertainItem = document.createElement('div');
+            uncertainItem.className = 'legend-item';
+            
+            const uncertainColor = document.createElement('div');
+            uncertainColor.className = 'legend-color uncertain';
+            
+            const uncertainLabel = document.createElement('span');
+            uncertainLabel.textContent = 'Disputed Dates';
+            
+            uncertainItem.appendChild(uncertainColor);
+            uncertainItem.appendChild(uncertainLabel);
+            legend.appendChild(uncertainItem);
+        }
+        
         container.appendChild(legend);
     },
     
@@ -544,7 +1176,7 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
             const row = document.createElement('tr');
             
             const dateCell = document.createElement('td');
-            dateCell.textContent = this.formatDisplayDate(day.date);
+            dateCell.textContent = this.formatApiDate(day.date);
             
             const countCell = document.createElement('td');
             countCell.textContent = day.roomCount;
@@ -568,20 +1200,20 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
                 const row = document.createElement('tr');
                 
                 const startDateCell = document.createElement('td');
-                startDateCell.textContent = this.formatDisplayDate(period.startDate);
+                startDateCell.textContent = this.formatApiDate(period.startDate);
                 
                 const endDateCell = document.createElement('td');
-                endDateCell.textContent = this.formatDisplayDate(period.endDate);
+                endDateCell.textContent = this.formatApiDate(period.endDate);
                 
                 const countCell = document.createElement('td');
                 countCell.textContent = `${period.roomCount} room${period.roomCount !== 1 ? 's' : ''}`;
+                countCell.title = period.rooms.join(', ');
                 
-                const days = Math.round((period.endDate - period.startDate) / (1000 * 60 * 60 * 24)) + 1;
                 const daysCell = document.createElement('td');
-                daysCell.textContent = days;
+                daysCell.textContent = period.days;
                 
                 const weeksCell = document.createElement('td');
-                weeksCell.textContent = (days / 7).toFixed(1);
+                weeksCell.textContent = (period.days / 7).toFixed(1);
                 
                 row.appendChild(startDateCell);
                 row.appendChild(endDateCell);
@@ -593,10 +1225,116 @@ addYearSeparators: function(container, minDate, maxDate, totalDays) {
         });
     },
     
+    renderExclusionsBreakdown: function(exclusions) {
+        const container = document.getElementById('exclusionsContainer');
+        const tbody = document.getElementById('exclusionsBody');
+        tbody.innerHTML = '';
+        
+        if (exclusions.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        exclusions.forEach(exclusion => {
+            const row = document.createElement('tr');
+            
+            const cells = [
+                `${this.formatApiDate(exclusion.startDate)} to ${this.formatApiDate(exclusion.endDate)}`,
+                exclusion.roomName || 'Whole property',
+                exclusion.reason || '',
+                exclusion.daysRemoved
+            ];
+            
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            // List the days removed from each room on hover
+            row.title = exclusion.rooms
+                .map(room => `${room.roomName}: ${room.daysRemoved} day${room.daysRemoved !== 1 ? 's' : ''}`)
+                .join(', ');
+            
+            tbody.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    },
+    
     formatDisplayDate: function(date) {
         return `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getFullYear()}`;
     },
     
+    // Count the calendar days from one date to another
+    // (by day number, so clock changes never give a fractional day)
+    daysBetween: function(fromDate, toDate) {
+        return this.dayNumber(toDate) - this.dayNumber(fromDate);
+    },
+    
+    // Calendar day number of a local Date, independent of the time zone
+    dayNumber: function(date) {
+        return window.dateParser.toDayNumber(
+            `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`
+        );
+    },
+    
+    // Convert a YYYY-MM-DD date from the API to a local Date for the timeline
+    parseApiDate: function(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+    
+    // Convert a YYYY-MM-DD date from the API to DD/MM/YYYY for display
+    formatApiDate: function(isoDate) {
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    },
+    
+    // Explain why part of a period was not counted
+    describeExclusion: function(reason) {
+        const descriptions = {
+            notice: 'before the landlord was liable',
+            limitation: 'outside the limitation period',
+            tenancy: 'outside the tenancy',
+            exclusion: 'excluded, for example access refused'
+        };
+        return descriptions[reason] || reason;
+    },
+    
+    // Describe what a whole-property element or common part is
+    describeElementType: function(elementType) {
+        const descriptions = {
+            room: 'room',
+            'whole-property': 'whole property',
+            'common-part': 'common part'
+        };
+        return descriptions[elementType] || elementType;
+    },
+    
+    // Show a duration in the units asked for (weeks unless the API returned another duration)
+    formatDuration: function(figures, units) {
+        if (units === 'weeks-and-days' && figures.duration) {
+            const { weeks, days } = figures.duration;
+            return `${weeks} week${weeks !== 1 ? 's' : ''} ${days} day${days !== 1 ? 's' : ''}`;
+        }
+        
+        if (units === 'days' && figures.duration !== undefined) {
+            return `${figures.duration} day${figures.duration !== 1 ? 's' : ''}`;
+        }
+        
+        return `${figures.weeksInDisrepair} weeks`;
+    },
+    
+    // Format an amount in pounds for display (a missing amount shows as a dash)
+    formatCurrency: function(amount) {
+        if (amount === null || amount === undefined) {
+            return '-';
+        }
+        
+        return `£${amount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    },
+    
     createDisrepairHeatmap: function(results, totalRooms) {
         // This is a placeholder for future enhancement
         console.log('Heatmap visualization would be generated here');
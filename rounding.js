@@ -0,0 +1,67 @@
+// rounding.js
+
+/**
+ * Ways figures can be rounded for output
+ * "half-up" rounds halves away from zero, "bankers" rounds halves to the
+ * nearest even digit and "none" leaves figures unrounded
+ */
+const ROUNDING_MODES = ['half-up', 'bankers', 'none'];
+
+/**
+ * Units durations can be reported in
+ */
+const DURATION_UNITS = ['weeks', 'days', 'weeks-and-days'];
+
+const DEFAULT_ROUNDING_MODE = 'half-up';
+
+// Allowance for binary floating point error when checking for an exact half
+const HALF_TOLERANCE = 1e-9;
+
+/**
+ * Round a figure to a number of decimal places
+ * @param {Number} value - Figure to round
+ * @param {Number} decimals - Decimal places to keep
+ * @param {string} mode - "half-up", "bankers" or "none" (see ROUNDING_MODES)
+ * @returns {Number} Rounded figure
+ */
+function roundTo(value, decimals, mode = DEFAULT_ROUNDING_MODE) {
+  if (mode === 'none') {
+    return value;
+  }
+
+  const factor = 10 ** decimals;
+  const scaled = Math.abs(value) * factor;
+  const whole = Math.floor(scaled);
+  const fraction = scaled - whole;
+  let rounded;
+
+  // Only an exact half is treated differently by the two modes
+  if (Math.abs(fraction - 0.5) < HALF_TOLERANCE) {
+    rounded = mode === 'bankers' && whole % 2 === 0 ? whole : whole + 1;
+  } else {
+    rounded = Math.round(scaled);
+  }
+
+  return (value < 0 ? -rounded : rounded) / factor;
+}
+
+/**
+ * Express a number of days in the requested units
+ * @param {Number} days - Whole number of days
+ * @param {string} units - "weeks", "days" or "weeks-and-days" (see DURATION_UNITS)
+ * @param {string} mode - Rounding mode for weeks (see ROUNDING_MODES)
+ * @returns {Number|Object} Weeks to one decimal place, days, or { weeks, days } in whole weeks and remaining days
+ */
+function formatDuration(days, units, mode = DEFAULT_ROUNDING_MODE) {
+  if (units === 'days') {
+    return days;
+  }
+
+  if (units === 'weeks-and-days') {
+    return { weeks: Math.floor(days / 7), days: days % 7 };
+  }
+
+  return roundTo(days / 7, 1, mode);
+}
+
+module.exports = { ROUNDING_MODES, DURATION_UNITS, DEFAULT_ROUNDING_MODE, roundTo, formatDuration };
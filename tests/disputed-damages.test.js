@@ -0,0 +1,38 @@
+// Damages for room-count bands that are only reached in the best or worst case of disputed dates
+const assert = require('assert');
+const { processDisrepairRequest } = require('../disrepair-request');
+
+console.log = () => {};
+
+const periods = [
+  { roomName: 'Bedroom', startDate: '01/02/2024', earliestStartDate: '01/01/2024', endDate: '28/02/2024' },
+  { roomName: 'Kitchen', startDate: '01/03/2024', earliestStartDate: '15/01/2024', endDate: '10/03/2024' }
+];
+
+const rents = {
+  weeklyRent: { weeklyRent: 100 },
+  rentSchedule: { rentSchedule: [{ effectiveFrom: '01/01/2020', weeklyRent: 100 }] }
+};
+
+Object.entries(rents).forEach(([label, rent]) => {
+  const { statusCode, payload } = processDisrepairRequest({ periods, totalRooms: 3, ...rent });
+  assert.strictEqual(statusCode, 200, label);
+
+  // Two rooms are only affected together in the worst case, so that band has no days in the central case
+  const twoRooms = payload.damages.lines.find(line => line.roomCount === 2);
+  assert.strictEqual(twoRooms.days, 0, label);
+  assert.strictEqual(twoRooms.abatementPercentage, 0, label);
+  assert.strictEqual(twoRooms.damages, 0, label);
+
+  if (label === 'weeklyRent') {
+    assert.strictEqual(twoRooms.weeklyAbatement, 0, label);
+  }
+
+  payload.damages.lines.forEach(line => {
+    Object.values(line).forEach(value => assert.notStrictEqual(value, null, label));
+  });
+
+  assert.strictEqual(payload.damages.total, 180.95, label);
+});
+
+process.stdout.write('disputed-damages: ok\n');